@@ -0,0 +1,82 @@
+/**
+ * Access Control
+ *
+ * Roles and the permissions they grant. AuthManager knows the signed-in
+ * user's role and answers can(permission); the dashboard hides what a role
+ * may not use (elements marked with `data-permission`), the managers check
+ * before changing data, and GitHubService refuses writes to files the role
+ * may not change, whichever code path they come from.
+ *
+ *   owner        everything, including settings, storage, setup and users
+ *   editor       projects, skills and profile, restoring older versions
+ *   contributor  adds and edits projects and skills, but cannot delete
+ *   viewer       read-only dashboard
+ *
+ * Roles that can write have to pass two-factor authentication at login
+ * (account:security); until they set it up, they can only do that.
+ */
+
+// Raised when the signed-in user's role does not allow an action
+class AccessDeniedError extends Error {
+    constructor(message, permission = null) {
+        super(message);
+        this.name = 'AccessDeniedError';
+        this.permission = permission;
+    }
+}
+
+const AccessControl = {
+    ROLES: ['owner', 'editor', 'contributor', 'viewer'],
+
+    ROLE_LABELS: {
+        owner: 'Owner',
+        editor: 'Editor',
+        contributor: 'Contributor',
+        viewer: 'Viewer'
+    },
+
+    PERMISSIONS: {
+        owner: [
+            'dashboard:view', 'projects:write', 'projects:delete', 'skills:write', 'skills:delete',
+            'profile:write', 'settings:write', 'assets:write', 'history:restore', 'content:publish',
+            'token:manage', 'account:security', 'backend:manage', 'users:manage'
+        ],
+        editor: [
+            'dashboard:view', 'projects:write', 'projects:delete', 'skills:write', 'skills:delete',
+            'profile:write', 'assets:write', 'history:restore', 'content:publish', 'token:manage', 'account:security'
+        ],
+        contributor: ['dashboard:view', 'projects:write', 'skills:write', 'assets:write', 'token:manage', 'account:security'],
+        viewer: ['dashboard:view']
+    },
+
+    // Data file -> permission needed to write it; other files need backend:manage
+    FILE_PERMISSIONS: {
+        'projects.json': 'projects:write',
+        'skills.json': 'skills:write',
+        'profile.json': 'profile:write',
+        'settings.json': 'settings:write'
+    },
+
+    isRole(role) {
+        return this.ROLES.includes(role);
+    },
+
+    can(role, permission) {
+        return Boolean(this.PERMISSIONS[role]?.includes(permission));
+    },
+
+    canWrite(role) {
+        return Boolean(this.PERMISSIONS[role]?.some(permission => permission.endsWith(':write')));
+    },
+
+    permissionForPath(path = '') {
+        if (path.startsWith(`${GitHubService.ASSETS_FOLDER}/`)) {
+            return 'assets:write';
+        }
+        return this.FILE_PERMISSIONS[DataSchemas.fileName(path)] || 'backend:manage';
+    },
+
+    label(role) {
+        return this.ROLE_LABELS[role] || role;
+    }
+};
@@ -3,6 +3,8 @@ class AuthManager {
         this.currentUser = null;
         this.ADMIN_EMAIL = 'hrbayezid@gmail.com';
         this.AUTO_VERIFY_ADMIN = true;
+        // Writes through GitHubService are checked against the signed-in user's role
+        window.githubService?.setAccessPolicy(permission => this.can(permission));
         this.init();
     }
 
@@ -37,29 +39,480 @@ class AuthManager {
         }
     }
 
-    // Add password hashing function using SHA-256
+    // Accounts created before roles only had isAdmin; they become owner or viewer
+    roleOf(user) {
+        if (AccessControl.isRole(user?.role)) return user.role;
+        return user?.isAdmin || user?.email === this.ADMIN_EMAIL ? 'owner' : 'viewer';
+    }
+
+    loadUsers() {
+        const users = JSON.parse(this.getFromStorage('users') || '[]');
+        return users.map(user => {
+            const { isAdmin, ...rest } = user;
+            return { ...rest, role: this.roleOf(user) };
+        });
+    }
+
+    saveUsers(users) {
+        return this.saveToStorage('users', JSON.stringify(users));
+    }
+
+    can(permission) {
+        if (!this.currentUser) return false;
+        // Until a role that writes sets up two-factor authentication, that is all it can do
+        if (this.currentUser.twoFactorSetupRequired && !AuthManager.SETUP_PERMISSIONS.includes(permission)) return false;
+        return AccessControl.can(this.currentUser.role, permission);
+    }
+
+    needsSecondFactorSetup(user) {
+        return AccessControl.canWrite(user.role) && !user.twoFactor;
+    }
+
+    // Lifts the restriction of can() once the signed-in user set up two-factor authentication
+    finishSecondFactorSetup() {
+        if (!this.currentUser?.twoFactorSetupRequired) return;
+        delete this.currentUser.twoFactorSetupRequired;
+        this.sessionManager.save(this.currentUser);
+        this.updateUI();
+    }
+
+    // Failed logins, second factors and recoveries of this tab in the last LOGIN_ATTEMPT_WINDOW
+    recentLoginAttempts() {
+        return JSON.parse(sessionStorage.getItem('loginAttempts') || '[]')
+            .filter(a => Date.now() - a < AuthManager.LOGIN_ATTEMPT_WINDOW);
+    }
+
+    isLoginLimited() {
+        return this.recentLoginAttempts().length >= AuthManager.LOGIN_ATTEMPTS;
+    }
+
+    // Records a failed attempt; true once the limit is reached
+    recordFailedLogin() {
+        const attempts = [...this.recentLoginAttempts(), Date.now()];
+        sessionStorage.setItem('loginAttempts', JSON.stringify(attempts));
+        return attempts.length >= AuthManager.LOGIN_ATTEMPTS;
+    }
+
+    // Hide what the current role may not use and let the dashboard re-render its actions
+    applyPermissions() {
+        document.querySelectorAll('[data-permission]').forEach(element => {
+            element.style.display = this.can(element.dataset.permission) ? '' : 'none';
+        });
+        window.dispatchEvent(new CustomEvent('portfolio-access-changed', {
+            detail: { role: this.currentUser?.role || null }
+        }));
+    }
+
+    // Salted PBKDF2 with a fresh salt per user, see CryptoUtils.hashPassword
     async hashPassword(password) {
-        const msgBuffer = new TextEncoder().encode(password);
-        const hashBuffer = await crypto.subtle.digest('SHA-256', msgBuffer);
-        return Array.from(new Uint8Array(hashBuffer))
-            .map(b => b.toString(16).padStart(2, '0'))
-            .join('');
+        return CryptoUtils.hashPassword(password);
+    }
+
+    // Checks the password and re-hashes legacy or weaker hashes in the user record
+    async verifyPassword(user, password) {
+        const { valid, needsUpgrade } = await CryptoUtils.verifyPassword(password, user.password);
+        if (valid && needsUpgrade) {
+            user.password = await this.hashPassword(password);
+        }
+        return valid;
+    }
+
+    // Asks for a new password and stores it in the user record; false when cancelled
+    async completePasswordReset(user) {
+        const password = await this.promptNewPassword('The portfolio owner asked you to choose a new password before continuing.');
+        if (!password) return false;
+
+        user.password = await this.hashPassword(password);
+        delete user.passwordResetRequired;
+        // Re-encrypt the stored tokens, the vault was unlocked with the old password
+        await window.tokenVault.changePassword(password);
+        return true;
+    }
+
+    promptNewPassword(message) {
+        return new Promise(resolve => {
+            const modal = document.createElement('div');
+            modal.className = 'fixed inset-0 bg-black/50 flex items-center justify-center z-50';
+            modal.innerHTML = `
+                <div class="glass-effect p-6 rounded-xl w-full max-w-md">
+                    <h3 class="text-xl font-bold mb-2">Choose a New Password</h3>
+                    <p class="text-sm text-gray-300 mb-4">${message}</p>
+                    <form class="space-y-4">
+                        <div class="space-y-1">
+                            <label for="new-password" class="block text-sm font-medium">New Password</label>
+                            <input id="new-password" type="password" autocomplete="new-password" required
+                                class="w-full p-2 bg-white/10 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500">
+                            <p class="text-xs text-gray-400">At least 8 characters with upper and lower case letters, a number and one of @$!%*?&amp;</p>
+                        </div>
+                        <div class="space-y-1">
+                            <label for="new-password-confirm" class="block text-sm font-medium">Confirm Password</label>
+                            <input id="new-password-confirm" type="password" autocomplete="new-password" required
+                                class="w-full p-2 bg-white/10 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500">
+                        </div>
+                        <div class="flex justify-end gap-2 pt-2">
+                            <button type="button" data-action="cancel" class="px-4 py-2 bg-white/10 rounded-lg hover:bg-white/20 transition">Cancel</button>
+                            <button type="submit" class="px-4 py-2 bg-gradient-to-r from-primary-500 to-purple-500 rounded-lg hover:from-primary-600 hover:to-purple-600 transition">Save Password</button>
+                        </div>
+                    </form>
+                </div>
+            `;
+            document.body.appendChild(modal);
+
+            const password = modal.querySelector('#new-password');
+            const confirmation = modal.querySelector('#new-password-confirm');
+            const finish = (value) => {
+                modal.remove();
+                resolve(value);
+            };
+
+            modal.querySelector('[data-action="cancel"]').addEventListener('click', () => finish(null));
+            modal.querySelector('form').addEventListener('submit', (e) => {
+                e.preventDefault();
+                if (!AuthManager.PASSWORD_PATTERN.test(password.value)) {
+                    this.showFieldValidation(password, false, 'Password must meet all requirements');
+                } else if (password.value !== confirmation.value) {
+                    this.showFieldValidation(confirmation, false, 'Passwords do not match');
+                } else {
+                    finish(password.value);
+                }
+            });
+            password.focus();
+        });
+    }
+
+    /*
+     * Asks for an authenticator code or one of the user's recovery codes.
+     * The TOTP secret is in the token vault, so the vault must be unlocked.
+     * Updates user.twoFactor (last used step, consumed recovery code); the
+     * caller saves the user. Resolves false when cancelled.
+     */
+    async verifySecondFactor(user, message) {
+        const secret = window.tokenVault.email === user.email ? await window.tokenVault.getSecret('totp') : null;
+        return this.promptSecondFactor(async (code) => {
+            if (/^\d{6}$/.test(code.replace(/\s/g, ''))) {
+                const step = secret ? await Totp.verify(secret, code) : null;
+                // Each code is accepted once
+                if (step === null || step <= (user.twoFactor.lastStep ?? -1)) return false;
+                user.twoFactor.lastStep = step;
+                return true;
+            }
+
+            const index = user.twoFactor.recoveryCodes.indexOf(await CryptoUtils.hashRecoveryCode(code));
+            if (index === -1) return false;
+            user.twoFactor.recoveryCodes.splice(index, 1);
+            const left = user.twoFactor.recoveryCodes.length;
+            this.showNotification(`Recovery code used. ${left} recovery code${left === 1 ? '' : 's'} left.`, 'warning');
+            return true;
+        }, message);
+    }
+
+    promptSecondFactor(check, message = 'Enter the 6-digit code from your authenticator app, or one of your recovery codes.') {
+        if (this.isLoginLimited()) {
+            this.showNotification('Too many login attempts. Please try again in 15 minutes.', 'error');
+            return Promise.resolve(false);
+        }
+        return new Promise(resolve => {
+            const modal = document.createElement('div');
+            modal.className = 'fixed inset-0 bg-black/50 flex items-center justify-center z-50';
+            modal.innerHTML = `
+                <div class="glass-effect p-6 rounded-xl w-full max-w-md">
+                    <h3 class="text-xl font-bold mb-2">Two-Factor Authentication</h3>
+                    <p class="text-sm text-gray-300 mb-4">${message}</p>
+                    <form class="space-y-4">
+                        <div class="space-y-1">
+                            <label for="second-factor-code" class="block text-sm font-medium">Code</label>
+                            <input id="second-factor-code" type="text" autocomplete="one-time-code" inputmode="text" required
+                                class="w-full p-2 bg-white/10 rounded-lg font-mono tracking-widest focus:outline-none focus:ring-2 focus:ring-primary-500">
+                        </div>
+                        <div class="flex justify-end gap-2 pt-2">
+                            <button type="button" data-action="cancel" class="px-4 py-2 bg-white/10 rounded-lg hover:bg-white/20 transition">Cancel</button>
+                            <button type="submit" class="px-4 py-2 bg-gradient-to-r from-primary-500 to-purple-500 rounded-lg hover:from-primary-600 hover:to-purple-600 transition">Verify</button>
+                        </div>
+                    </form>
+                </div>
+            `;
+            document.body.appendChild(modal);
+
+            const input = modal.querySelector('#second-factor-code');
+            const submit = modal.querySelector('button[type="submit"]');
+            let attempts = 0;
+            const finish = (value) => {
+                modal.remove();
+                resolve(value);
+            };
+
+            modal.querySelector('[data-action="cancel"]').addEventListener('click', () => finish(false));
+            modal.querySelector('form').addEventListener('submit', async (e) => {
+                e.preventDefault();
+                submit.disabled = true;
+                const valid = await check(input.value.trim());
+                submit.disabled = false;
+                if (valid) {
+                    finish(true);
+                } else if (this.recordFailedLogin()) {
+                    this.showNotification('Too many login attempts. Please try again in 15 minutes.', 'error');
+                    finish(false);
+                } else if (++attempts >= AuthManager.SECOND_FACTOR_ATTEMPTS) {
+                    finish(false);
+                } else {
+                    this.showFieldValidation(input, false, 'Invalid or already used code');
+                    input.select();
+                }
+            });
+            input.focus();
+        });
+    }
+
+    // Stores the confirmed secret in the unlocked vault and returns the new recovery codes
+    async enableSecondFactor(user, secret, step) {
+        const codes = CryptoUtils.generateRecoveryCodes();
+        await window.tokenVault.setSecret('totp', secret);
+        user.twoFactor = {
+            enabledAt: new Date().toISOString(),
+            lastStep: step,
+            recoveryCodes: await Promise.all(codes.map(code => CryptoUtils.hashRecoveryCode(code)))
+        };
+        return codes;
+    }
+
+    // Two-factor setup during login for roles that write; resolves false when cancelled
+    enrollSecondFactor(user) {
+        const secret = Totp.generateSecret();
+        const uri = Totp.keyUri(secret, user.email, TwoFactorManager.ISSUER);
+        return new Promise(resolve => {
+            const modal = document.createElement('div');
+            modal.className = 'fixed inset-0 bg-black/50 flex items-center justify-center z-50';
+            modal.innerHTML = `
+                <div class="glass-effect p-6 rounded-xl w-full max-w-md">
+                    <h3 class="text-xl font-bold mb-2">Set Up Two-Factor Authentication</h3>
+                    <p class="text-sm text-gray-300 mb-4">
+                        Accounts that can change the portfolio need two-factor authentication. Scan the code with an
+                        authenticator app, or enter the key by hand, and confirm the first code it shows.
+                    </p>
+                    <div class="flex justify-center mb-4"><div class="bg-white p-2 rounded-lg">${QrCode.toSvg(uri, { size: 180 })}</div></div>
+                    <p class="font-mono text-sm text-center break-all select-all mb-4">${secret.match(/.{1,4}/g).join(' ')}</p>
+                    <form class="space-y-4">
+                        <div class="space-y-1">
+                            <label for="enroll-second-factor-code" class="block text-sm font-medium">Code from the app</label>
+                            <input id="enroll-second-factor-code" type="text" inputmode="numeric" autocomplete="one-time-code" maxlength="7" required
+                                class="w-full p-2 bg-white/10 rounded-lg font-mono tracking-widest focus:outline-none focus:ring-2 focus:ring-primary-500">
+                        </div>
+                        <div class="flex justify-end gap-2 pt-2">
+                            <button type="button" data-action="cancel" class="px-4 py-2 bg-white/10 rounded-lg hover:bg-white/20 transition">Cancel</button>
+                            <button type="submit" class="px-4 py-2 bg-gradient-to-r from-primary-500 to-purple-500 rounded-lg hover:from-primary-600 hover:to-purple-600 transition">Turn On</button>
+                        </div>
+                    </form>
+                </div>
+            `;
+            document.body.appendChild(modal);
+
+            const input = modal.querySelector('#enroll-second-factor-code');
+            modal.querySelector('[data-action="cancel"]').addEventListener('click', () => {
+                modal.remove();
+                resolve(false);
+            });
+            modal.querySelector('form').addEventListener('submit', async (e) => {
+                e.preventDefault();
+                const step = await Totp.verify(secret, input.value);
+                if (step === null) {
+                    this.showFieldValidation(input, false, 'That code does not match. Check the time on your phone and try again.');
+                    input.select();
+                    return;
+                }
+                const codes = await this.enableSecondFactor(user, secret, step);
+                modal.remove();
+                await this.showRecoveryCodes(codes, {
+                    title: 'Save Your Two-Factor Recovery Codes',
+                    intro: 'If you lose your phone, each of these codes works once in place of a code from the app.',
+                    fileName: 'recovery-codes.txt'
+                });
+                resolve(true);
+            });
+            input.focus();
+        });
+    }
+
+    // Fresh one-time codes for "Forgot password?"; only their hashes are kept
+    async createRecoveryCodes(user) {
+        const codes = CryptoUtils.generateRecoveryCodes();
+        user.recoveryCodes = await Promise.all(codes.map(code => CryptoUtils.hashRecoveryCode(code)));
+        return codes;
+    }
+
+    // The vault was encrypted with the old password; what it held cannot be decrypted any more
+    resetSecrets(user) {
+        window.tokenVault.forget(user.email);
+        user.hasToken = false;
+        delete user.twoFactor;
+    }
+
+    // Resolves once the user closed the dialog
+    showRecoveryCodes(codes, {
+        title = 'Save Your Recovery Codes',
+        intro = 'If you forget your password, one of these codes lets you choose a new one from the login form.',
+        fileName = 'account-recovery-codes.txt'
+    } = {}) {
+        const modal = document.createElement('div');
+        modal.className = 'fixed inset-0 bg-black/50 flex items-center justify-center z-50';
+        modal.innerHTML = `
+            <div class="glass-effect p-6 rounded-xl w-full max-w-md">
+                <h3 class="text-xl font-bold mb-2">${title}</h3>
+                <p class="text-sm text-gray-300 mb-4">
+                    ${intro}
+                    Each code works once and they are not shown again.
+                </p>
+                <ul class="grid grid-cols-2 gap-2 font-mono text-sm mb-4 select-all">
+                    ${codes.map(code => `<li class="px-3 py-2 bg-white/5 rounded-lg">${code}</li>`).join('')}
+                </ul>
+                <div class="flex justify-end gap-2">
+                    <button type="button" data-action="download" class="px-4 py-2 bg-white/10 rounded-lg hover:bg-white/20 transition">
+                        <i class="fas fa-download mr-2"></i>Download
+                    </button>
+                    <button type="button" data-action="done" class="px-4 py-2 bg-gradient-to-r from-primary-500 to-purple-500 rounded-lg hover:from-primary-600 hover:to-purple-600 transition">I Saved Them</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        modal.querySelector('[data-action="download"]').addEventListener('click', () => {
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(new Blob([`Account recovery codes for ${this.currentUser?.email || ''}\n\n${codes.join('\n')}\n`], { type: 'text/plain' }));
+            link.download = fileName;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 0);
+        });
+        return new Promise(resolve => {
+            modal.querySelector('[data-action="done"]').addEventListener('click', () => {
+                modal.remove();
+                resolve();
+            });
+        });
+    }
+
+    /*
+     * Sets a new password with one of the account's recovery codes. Accounts
+     * with two-factor authentication also need one of those recovery codes,
+     * since the authenticator secret is encrypted with the forgotten
+     * password. Resolves with an error message, or null on success.
+     */
+    async recoverAccount(email, code, password) {
+        if (this.isLoginLimited()) {
+            return 'Too many attempts. Please try again in 15 minutes.';
+        }
+
+        const users = this.loadUsers();
+        const user = users.find(u => u.email === email);
+        const index = user?.recoveryCodes?.indexOf(await CryptoUtils.hashRecoveryCode(code)) ?? -1;
+        if (index === -1) {
+            this.recordFailedLogin();
+            return 'The email or recovery code is not valid.';
+        }
+        if (user.disabled) {
+            return 'This account has been disabled. Please contact the portfolio owner.';
+        }
+        if (user.twoFactor && AccessControl.canWrite(user.role)
+            && !(await this.verifySecondFactor(user, 'Your authenticator app cannot be checked without your password. Enter one of your two-factor recovery codes.'))) {
+            return 'Two-factor verification is required to recover this account.';
+        }
+
+        user.recoveryCodes.splice(index, 1);
+        user.password = await this.hashPassword(password);
+        delete user.passwordResetRequired;
+        this.resetSecrets(user);
+        if (!this.saveUsers(users)) {
+            return 'The new password could not be saved.';
+        }
+        sessionStorage.removeItem('loginAttempts');
+        return null;
+    }
+
+    showPasswordRecovery() {
+        const modal = document.createElement('div');
+        modal.className = 'fixed inset-0 bg-black/50 flex items-center justify-center z-50';
+        modal.innerHTML = `
+            <div class="glass-effect p-6 rounded-xl w-full max-w-md">
+                <h3 class="text-xl font-bold mb-2">Forgot Password</h3>
+                <p class="text-sm text-gray-300 mb-4">
+                    Enter one of the recovery codes you saved when you signed up and choose a new password.
+                    Your stored GitHub token and two-factor setup are reset, since they were protected by the old password.
+                </p>
+                <form class="space-y-4">
+                    <div class="space-y-1">
+                        <label for="recovery-email" class="block text-sm font-medium">Email</label>
+                        <input id="recovery-email" type="email" autocomplete="username" required
+                            class="w-full p-2 bg-white/10 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500">
+                    </div>
+                    <div class="space-y-1">
+                        <label for="recovery-code" class="block text-sm font-medium">Recovery Code</label>
+                        <input id="recovery-code" type="text" autocomplete="off" required placeholder="xxxxx-xxxxx"
+                            class="w-full p-2 bg-white/10 rounded-lg font-mono focus:outline-none focus:ring-2 focus:ring-primary-500">
+                    </div>
+                    <div class="space-y-1">
+                        <label for="recovery-password" class="block text-sm font-medium">New Password</label>
+                        <input id="recovery-password" type="password" autocomplete="new-password" required
+                            class="w-full p-2 bg-white/10 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500">
+                        <p class="text-xs text-gray-400">At least 8 characters with upper and lower case letters, a number and one of @$!%*?&amp;</p>
+                    </div>
+                    <div class="space-y-1">
+                        <label for="recovery-password-confirm" class="block text-sm font-medium">Confirm Password</label>
+                        <input id="recovery-password-confirm" type="password" autocomplete="new-password" required
+                            class="w-full p-2 bg-white/10 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500">
+                    </div>
+                    <div class="flex justify-end gap-2 pt-2">
+                        <button type="button" data-action="cancel" class="px-4 py-2 bg-white/10 rounded-lg hover:bg-white/20 transition">Cancel</button>
+                        <button type="submit" class="px-4 py-2 bg-gradient-to-r from-primary-500 to-purple-500 rounded-lg hover:from-primary-600 hover:to-purple-600 transition">Set New Password</button>
+                    </div>
+                </form>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        const field = id => modal.querySelector(`#${id}`);
+        field('recovery-email').value = document.getElementById('login-email')?.value || '';
+        modal.querySelector('[data-action="cancel"]').addEventListener('click', () => modal.remove());
+        modal.querySelector('form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const email = field('recovery-email').value.trim();
+            const password = field('recovery-password').value;
+            if (!AuthManager.PASSWORD_PATTERN.test(password)) {
+                this.showFieldValidation(field('recovery-password'), false, 'Password must meet all requirements');
+                return;
+            }
+            if (password !== field('recovery-password-confirm').value) {
+                this.showFieldValidation(field('recovery-password-confirm'), false, 'Passwords do not match');
+                return;
+            }
+
+            const submit = modal.querySelector('button[type="submit"]');
+            submit.disabled = true;
+            const error = await this.recoverAccount(email, field('recovery-code').value, password);
+            submit.disabled = false;
+            if (error) {
+                this.showFieldValidation(field('recovery-code'), false, error);
+                return;
+            }
+
+            modal.remove();
+            document.getElementById('login-email').value = email;
+            document.getElementById('login-password').value = '';
+            this.showNotification('Your password was changed. Log in with the new password and add your GitHub token again.', 'success');
+        });
+        field(field('recovery-email').value ? 'recovery-code' : 'recovery-email').focus();
     }
 
     init() {
         // Add CSRF token
         this.csrfToken = this.generateCSRFToken();
         
-        // Add session timeout (30 minutes)
-        this.sessionTimeout = 30 * 60 * 1000;
-        this.lastActivity = Date.now();
-        
-        // Check session every minute
-        this.sessionChecker = setInterval(() => this.checkSession(), 60000);
-        
-        // Track user activity
-        document.addEventListener('mousemove', () => this.updateLastActivity());
-        document.addEventListener('keypress', () => this.updateLastActivity());
+        // Remember me, idle and absolute timeouts, shared with the other open tabs
+        this.sessionManager = new SessionManager({
+            onExpire: (message) => {
+                this.handleLogout();
+                this.showNotification(message, 'error');
+            },
+            onLogout: () => this.handleLogout(),
+            onLogin: () => this.checkAuthState()
+        });
         
         // Hide dashboard by default
         const dashboardSection = document.getElementById('dashboard');
@@ -70,31 +523,139 @@ class AuthManager {
         this.checkAuthState();
         this.setupEventListeners();
         this.setupDashboardLinks();
+        this.setupDeviceSignIn();
     }
 
-    generateCSRFToken() {
-        return Array.from(crypto.getRandomValues(new Uint8Array(32)))
-            .map(b => b.toString(16).padStart(2, '0'))
-            .join('');
+    setupDeviceSignIn() {
+        const container = document.getElementById('github-device-signin-container');
+        const button = document.getElementById('github-device-signin');
+        if (!container || !button || !window.githubDeviceAuth?.isConfigured()) return;
+
+        container.classList.remove('hidden');
+        button.addEventListener('click', async () => {
+            try {
+                const token = await window.githubDeviceAuth.signIn();
+                if (token) {
+                    await this.validateGitHubToken(token);
+                }
+            } catch (error) {
+                this.showNotification(error.message, 'error');
+            }
+        });
+
+        // Keep the user's stored token current when the device flow refreshes it
+        window.addEventListener('github-token-changed', (e) => {
+            if (this.currentUser && window.tokenVault.isUnlocked()) {
+                window.tokenVault.storeToken(e.detail.token)
+                    .catch(error => console.error('Could not store the refreshed token:', error));
+            }
+        });
     }
 
-    updateLastActivity() {
-        this.lastActivity = Date.now();
+    // Store the token encrypted for the current user and use it right away
+    async saveGitHubToken(token) {
+        await window.githubService.setToken(token);
+        try {
+            await window.tokenVault.storeToken(token);
+        } catch (error) {
+            console.error('Could not store the GitHub token:', error);
+            this.showNotification('The token is active for this session only. Log in again to store it.', 'warning');
+        }
     }
 
-    checkSession() {
-        if (this.currentUser && Date.now() - this.lastActivity > this.sessionTimeout) {
+    // Decrypt the token with this session's key after a reload
+    async restoreGitHubToken() {
+        // The vault key only lives in memory, so after a reload the password is needed again
+        if (!window.tokenVault.resume(this.currentUser.email) && !(await this.promptUnlock())) {
             this.handleLogout();
-            this.showNotification('Session expired. Please login again.', 'error');
+            this.showNotification('Please log in again to unlock your GitHub token.', 'info');
+            return;
         }
+
+        const token = await window.tokenVault.loadToken();
+        if (token) {
+            await window.githubService.setToken(token);
+        } else if (this.AUTO_VERIFY_ADMIN && this.currentUser.email === this.ADMIN_EMAIL) {
+            // Auto-verify admin with a placeholder token
+            await window.githubService.setToken('admin_auto_verified');
+        } else {
+            setTimeout(() => {
+                document.getElementById('github-token-modal').classList.remove('hidden');
+                this.setupGitHubTokenForm();
+            }, 1000);
+        }
+    }
+
+    // Asks the signed-in user for their password to unlock the vault; false when cancelled
+    promptUnlock() {
+        const email = this.currentUser.email;
+        return new Promise(resolve => {
+            const modal = document.createElement('div');
+            modal.className = 'fixed inset-0 bg-black/50 flex items-center justify-center z-50';
+            modal.innerHTML = `
+                <div class="glass-effect p-6 rounded-xl w-full max-w-md">
+                    <h3 class="text-xl font-bold mb-2">Unlock Your GitHub Token</h3>
+                    <p class="text-sm text-gray-300 mb-4">
+                        Your GitHub token is encrypted with your password, which is not kept once the page is closed or reloaded.
+                        Enter it to keep working.
+                    </p>
+                    <form class="space-y-4">
+                        <div class="space-y-1">
+                            <label for="unlock-password" class="block text-sm font-medium">Password</label>
+                            <input id="unlock-password" type="password" autocomplete="current-password" required
+                                class="w-full p-2 bg-white/10 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500">
+                        </div>
+                        <div class="flex justify-end gap-2 pt-2">
+                            <button type="button" data-action="cancel" class="px-4 py-2 bg-white/10 rounded-lg hover:bg-white/20 transition">Log Out</button>
+                            <button type="submit" class="px-4 py-2 bg-gradient-to-r from-primary-500 to-purple-500 rounded-lg hover:from-primary-600 hover:to-purple-600 transition">Unlock</button>
+                        </div>
+                    </form>
+                </div>
+            `;
+            document.body.appendChild(modal);
+
+            const input = modal.querySelector('#unlock-password');
+            const finish = (value) => {
+                modal.remove();
+                resolve(value);
+            };
+            modal.querySelector('[data-action="cancel"]').addEventListener('click', () => finish(false));
+            modal.querySelector('form').addEventListener('submit', async (e) => {
+                e.preventDefault();
+                if (this.isLoginLimited()) {
+                    this.showNotification('Too many login attempts. Please try again in 15 minutes.', 'error');
+                    finish(false);
+                    return;
+                }
+
+                const users = this.loadUsers();
+                const user = users.find(u => u.email === email);
+                if (user && (await this.verifyPassword(user, input.value))) {
+                    // Keeps a hash upgraded by verifyPassword
+                    this.saveUsers(users);
+                    sessionStorage.removeItem('loginAttempts');
+                    await window.tokenVault.unlock(email, input.value);
+                    finish(true);
+                } else if (this.recordFailedLogin()) {
+                    this.showNotification('Too many login attempts. Please try again in 15 minutes.', 'error');
+                    finish(false);
+                } else {
+                    this.showFieldValidation(input, false, 'Incorrect password');
+                    input.select();
+                }
+            });
+            input.focus();
+        });
+    }
+
+    generateCSRFToken() {
+        return Array.from(crypto.getRandomValues(new Uint8Array(32)))
+            .map(b => b.toString(16).padStart(2, '0'))
+            .join('');
     }
 
     cleanup() {
-        if (this.sessionChecker) {
-            clearInterval(this.sessionChecker);
-        }
-        document.removeEventListener('mousemove', () => this.updateLastActivity());
-        document.removeEventListener('keypress', () => this.updateLastActivity());
+        this.sessionManager.stop();
     }
 
     setupDashboardLinks() {
@@ -111,57 +672,57 @@ class AuthManager {
     }
 
     checkAuthState() {
-        const user = this.getFromStorage('currentUser');
+        let user = null;
+        try {
+            user = this.sessionManager.load();
+        } catch (error) {
+            console.error('Error parsing user data:', error);
+            this.sessionManager.end();
+            this.showNotification('Session data corrupted. Please login again.', 'error');
+        }
+        if (user && this.sessionManager.hasExpired(user)) {
+            // Timed out while no tab was open
+            this.sessionManager.end();
+            this.showNotification('Your session has expired. Please log in again.', 'info');
+            user = null;
+        }
+
         if (user) {
             try {
-            this.currentUser = JSON.parse(user);
+            const { isAdmin, ...session } = user;
+            // The owner may have changed the account since this session started
+            const stored = this.loadUsers().find(u => u.email === session.email);
+            if (!stored || stored.disabled) {
+                // Deleted or disabled by the owner since this session started
+                this.handleLogout();
+                this.showNotification('This account is no longer active. Please contact the portfolio owner.', 'error');
+                return;
+            }
+            this.currentUser = { ...session, role: stored.role, twoFactorSetupRequired: this.needsSecondFactorSetup(stored) };
+            if (!this.currentUser.twoFactorSetupRequired) {
+                delete this.currentUser.twoFactorSetupRequired;
+            }
+            this.sessionManager.save(this.currentUser);
             this.updateUI();
+            if (this.currentUser.twoFactorSetupRequired) {
+                this.showNotification('Set up two-factor authentication in the Profile tab to make changes.', 'warning');
+            }
             
-            // Check if admin
-                const isAdmin = this.currentUser.isAdmin;
-            
-            if (!isAdmin) {
-                // Redirect non-admin users away from dashboard
+            if (!this.can('dashboard:view')) {
+                // Redirect users without dashboard access
                 if (window.location.hash === '#dashboard') {
                     window.location.hash = '#home';
                 }
                 document.querySelectorAll('.dashboard-menu-item').forEach(item => {
                     item.style.display = 'none';
                 });
-                } else {
-                    // For admin users, handle GitHub token
-                    const activeToken = this.getFromStorage('active_github_token');
-                    const userToken = this.getFromStorage('github_token_' + this.currentUser.email);
-                    
-                    if (!activeToken && !userToken) {
-                        // No tokens available - need to prompt for token unless auto-verified admin
-                        if (!(this.AUTO_VERIFY_ADMIN && this.currentUser.email === this.ADMIN_EMAIL)) {
-                            setTimeout(() => {
-                                document.getElementById('github-token-modal').classList.remove('hidden');
-                                this.setupGitHubTokenForm();
-                            }, 1000);
-                        } else {
-                            // Auto-verify admin by setting a placeholder token
-                            this.saveToStorage('active_github_token', 'admin_auto_verified');
-                        }
-                    } else if (!activeToken && userToken) {
-                        // User has a saved token but no active token - restore it
-                        this.saveToStorage('active_github_token', userToken);
-                        
-                        // Initialize GitHub service with the token
-                        if (window.githubService) {
-                            window.githubService.setToken(userToken);
-                        }
-                    } else if (activeToken) {
-                        // Already have an active token, make sure GitHub service is using it
-                        if (window.githubService) {
-                            window.githubService.setToken(activeToken);
-                        }
-                    }
+                } else if (AccessControl.can(this.currentUser.role, 'token:manage')) {
+                    // Roles that write need their GitHub token back, also to set up two-factor authentication
+                    this.restoreGitHubToken();
                 }
             } catch (error) {
-                console.error('Error parsing user data:', error);
-                this.removeFromStorage('currentUser');
+                console.error('Error restoring the session:', error);
+                this.sessionManager.end();
                 this.showNotification('Session data corrupted. Please login again.', 'error');
             }
         } else {
@@ -173,6 +734,17 @@ class AuthManager {
             document.querySelectorAll('.dashboard-menu-item').forEach(item => {
                 item.style.display = 'none';
             });
+
+            // A session-only login is kept in the sessionStorage of the tab it was made in
+            this.sessionManager.discover().then(found => {
+                if (found) {
+                    this.checkAuthState();
+                } else {
+                    // No tab is logged in, drop what a closed browser left behind
+                    window.tokenVault?.lock();
+                    window.githubService?.clearToken();
+                }
+            });
         }
     }
 
@@ -195,6 +767,12 @@ class AuthManager {
             });
         }
 
+        // Forgot password link
+        document.getElementById('forgot-password-link')?.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.showPasswordRecovery();
+        });
+
         // Forgot token link
         const forgotTokenLinks = document.querySelectorAll('.forgot-token-link');
         forgotTokenLinks.forEach(link => {
@@ -339,10 +917,7 @@ class AuthManager {
             loginButton.innerHTML = '<i class="fas fa-spinner fa-spin mr-2"></i>Logging in...';
             
             // Rate limiting check
-            const attempts = JSON.parse(sessionStorage.getItem('loginAttempts') || '[]');
-            const recentAttempts = attempts.filter(a => Date.now() - a < 15 * 60 * 1000);
-            
-            if (recentAttempts.length >= 5) {
+            if (this.isLoginLimited()) {
                 this.showNotification('Too many login attempts. Please try again in 15 minutes.', 'error');
                 loginButton.disabled = false;
                 loginButton.innerHTML = originalButtonText;
@@ -350,14 +925,52 @@ class AuthManager {
             }
 
             // Get users from localStorage
-            const users = JSON.parse(localStorage.getItem('users') || '[]');
-            const hashedPassword = await this.hashPassword(password);
-            const user = users.find(u => u.email === email && u.password === hashedPassword);
+            const users = this.loadUsers();
+            const candidate = users.find(u => u.email === email);
+            // The upgraded hash is saved together with the last login time below
+            const user = candidate && (await this.verifyPassword(candidate, password)) ? candidate : null;
 
-            if (user) {
+            if (user && user.disabled) {
+                this.showNotification('This account has been disabled. Please contact the portfolio owner.', 'error');
+                loginButton.disabled = false;
+                loginButton.innerHTML = originalButtonText;
+            } else if (user) {
                 // Update last login time
                 user.lastLogin = new Date().toISOString();
+
+                // The password unlocks the user's encrypted tokens
+                await window.tokenVault.unlock(email, password);
+
+                // Accounts that can write need their second factor too
+                if (user.twoFactor && AccessControl.canWrite(user.role) && !(await this.verifySecondFactor(user))) {
+                    await window.tokenVault.lock();
+                    this.showNotification('Two-factor verification is required to log in.', 'warning');
+                    loginButton.disabled = false;
+                    loginButton.innerHTML = originalButtonText;
+                    return;
+                }
+
+                // The owner asked for a new password before the account can be used again
+                if (user.passwordResetRequired && !(await this.completePasswordReset(user))) {
+                    await window.tokenVault.lock();
+                    this.showNotification('You need to choose a new password to log in.', 'warning');
+                    loginButton.disabled = false;
+                    loginButton.innerHTML = originalButtonText;
+                    return;
+                }
                 
+                // Those that never set it up do so now
+                if (this.needsSecondFactorSetup(user) && !(await this.enrollSecondFactor(user))) {
+                    await window.tokenVault.lock();
+                    this.showNotification('Accounts that can change the portfolio need two-factor authentication to log in.', 'warning');
+                    loginButton.disabled = false;
+                    loginButton.innerHTML = originalButtonText;
+                    return;
+                }
+
+                // Accounts from before recovery codes, or with all of them used, get a new set
+                const recoveryCodes = user.recoveryCodes?.length ? null : await this.createRecoveryCodes(user);
+
                 // Check if we have a new GitHub token that needs to be saved
                 if (githubToken) {
                     try {
@@ -369,10 +982,8 @@ class AuthManager {
                         const validation = await window.githubService.validateToken();
                         
                         if (validation.valid) {
-                            // Store the token in localStorage for this user
-                            localStorage.setItem('github_token_' + email, githubToken);
-                            // Set as active token
-                            localStorage.setItem('active_github_token', githubToken);
+                            // Store the token encrypted for this user
+                            await window.tokenVault.storeToken(githubToken);
                             
                             // Update token reference in user record
                             user.hasToken = true;
@@ -390,13 +1001,12 @@ class AuthManager {
                 } else if (user.hasToken) {
                     // User has a saved token, restore it as the active token
                     try {
-                        const savedToken = localStorage.getItem('github_token_' + email);
+                        const savedToken = await window.tokenVault.loadToken();
                         if (savedToken) {
-                            localStorage.setItem('active_github_token', savedToken);
                             await window.githubService.setToken(savedToken);
                         } else if (this.AUTO_VERIFY_ADMIN && email === this.ADMIN_EMAIL) {
                             // Auto-verify admin by setting a placeholder token
-                            localStorage.setItem('active_github_token', 'admin_auto_verified');
+                            await window.githubService.setToken('admin_auto_verified');
                         }
                     } catch (error) {
                         console.error('Error setting saved token:', error);
@@ -405,17 +1015,18 @@ class AuthManager {
                 }
                 
                 // Save updated user data
-                localStorage.setItem('users', JSON.stringify(users));
+                this.saveUsers(users);
                 
                 // Set session data for current user
                 this.currentUser = { 
                     email: user.email, 
                     name: user.name,
-                    isAdmin: user.isAdmin || email === this.ADMIN_EMAIL,
+                    role: user.role,
                     hasToken: user.hasToken,
                     csrfToken: this.csrfToken
                 };
-                localStorage.setItem('currentUser', JSON.stringify(this.currentUser));
+                // Without "Remember me" the login ends when the browser is closed
+                this.sessionManager.start(this.currentUser, rememberMe);
                 sessionStorage.removeItem('loginAttempts');
                 
                 // Show success animation before redirecting
@@ -427,9 +1038,12 @@ class AuthManager {
                 this.updateUI();
                     this.showNotification(`Welcome back, ${user.name}!`, 'success');
                 document.getElementById('auth-modal').classList.add('hidden');
+                    if (recoveryCodes) {
+                        this.showRecoveryCodes(recoveryCodes);
+                    }
                 
-                    // Special check for admin who needs to set up token
-                    if (this.currentUser.isAdmin && !this.currentUser.hasToken) {
+                    // Roles that write need a GitHub token
+                    if (this.can('token:manage') && !this.currentUser.hasToken) {
                         if (!(this.AUTO_VERIFY_ADMIN && email === this.ADMIN_EMAIL)) {
                     document.getElementById('github-token-modal').classList.remove('hidden');
                     this.setupGitHubTokenForm();
@@ -437,7 +1051,7 @@ class AuthManager {
                 }
                 
                     // Redirect based on user role
-                    if (this.currentUser.isAdmin) {
+                    if (this.can('dashboard:view')) {
                     window.location.hash = '#dashboard';
                 } else {
                     window.location.hash = '#home';
@@ -451,8 +1065,7 @@ class AuthManager {
                 }, 1000);
             } else {
                 // Track failed attempt
-                recentAttempts.push(Date.now());
-                sessionStorage.setItem('loginAttempts', JSON.stringify(recentAttempts));
+                this.recordFailedLogin();
                 
                 // Show error animation
                 loginButton.innerHTML = '<i class="fas fa-times-circle mr-2"></i>Failed';
@@ -516,7 +1129,7 @@ class AuthManager {
             isValid = false;
         } else {
             // Check for duplicate email
-            const users = JSON.parse(localStorage.getItem('users') || '[]');
+            const users = this.loadUsers();
             if (users.some(u => u.email === email)) {
                 this.showFieldValidation(document.getElementById('signup-email'), false, 'Email already registered');
                 isValid = false;
@@ -526,7 +1139,7 @@ class AuthManager {
         }
         
         // Validate password
-        const passwordRegex = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]{8,}$/;
+        const passwordRegex = AuthManager.PASSWORD_PATTERN;
         if (!password) {
             this.showFieldValidation(document.getElementById('signup-password'), false, 'Password is required');
             isValid = false;
@@ -569,19 +1182,21 @@ class AuthManager {
             signupButton.disabled = true;
             signupButton.innerHTML = '<i class="fas fa-spinner fa-spin mr-2"></i>Creating account...';
             
-            // Check if this is admin email
-            const isAdmin = email === this.ADMIN_EMAIL;
+            // The configured admin email owns the portfolio, the owner assigns everyone else a role
+            const isOwner = email === this.ADMIN_EMAIL;
+            const role = isOwner ? 'owner' : 'viewer';
             let hasToken = false;
+            let validatedToken = null;
             let tokenValidationResult = null;
 
-            // If GitHub token provided, validate it for admin role
-            if (githubToken || isAdmin) {
+            // If GitHub token provided, validate it; the owner needs one
+            if (githubToken || isOwner) {
                 try {
-                    // Admin requires token except for the auto-verified admin email
-                    if (isAdmin && !githubToken && this.AUTO_VERIFY_ADMIN) {
+                    // Owner requires token except for the auto-verified admin email
+                    if (isOwner && !githubToken && this.AUTO_VERIFY_ADMIN) {
                         // Auto-verify the admin account
                         hasToken = true;
-                        localStorage.setItem('active_github_token', 'admin_auto_verified');
+                        await window.githubService.setToken('admin_auto_verified');
                         this.showFieldValidation(document.getElementById('signup-github-token'), true, 'Admin auto-verified');
                     } else if (githubToken) {
                         // Show validating state
@@ -593,38 +1208,38 @@ class AuthManager {
                         
                         if (tokenValidationResult.valid) {
                             hasToken = true;
-                            localStorage.setItem('github_token_' + email, githubToken);
+                            validatedToken = githubToken;
                             this.showFieldValidation(document.getElementById('signup-github-token'), true, 'Token validated!');
                         } else {
-                            if (isAdmin) {
-                                this.showFieldValidation(document.getElementById('signup-github-token'), false, 'Invalid token. Admin requires valid token.');
+                            if (isOwner) {
+                                this.showFieldValidation(document.getElementById('signup-github-token'), false, 'Invalid token. The owner account requires a valid token.');
                                 signupButton.disabled = false;
                                 signupButton.innerHTML = originalButtonText;
-                                this.showNotification('Invalid GitHub token. Admin account requires a valid token.', 'error');
+                                this.showNotification('Invalid GitHub token. The owner account requires a valid token.', 'error');
             return;
                             } else {
-                                this.showFieldValidation(document.getElementById('signup-github-token'), false, 'Invalid token. Account will be created without admin privileges.');
-                                this.showNotification('Invalid GitHub token. Account will be created without admin privileges.', 'warning');
+                                this.showFieldValidation(document.getElementById('signup-github-token'), false, 'Invalid token. Account will be created without a token.');
+                                this.showNotification('Invalid GitHub token. Account will be created without a token.', 'warning');
                             }
                         }
-                    } else if (isAdmin) {
-                        this.showFieldValidation(document.getElementById('signup-github-token'), false, 'Admin account requires a token');
+                    } else if (isOwner) {
+                        this.showFieldValidation(document.getElementById('signup-github-token'), false, 'The owner account requires a token');
                         signupButton.disabled = false;
                         signupButton.innerHTML = originalButtonText;
-                        this.showNotification('Admin account requires a GitHub token.', 'error');
+                        this.showNotification('The owner account requires a GitHub token.', 'error');
                         return;
                     }
                 } catch (error) {
                     console.error('Token validation error:', error);
                     this.showFieldValidation(document.getElementById('signup-github-token'), false, 'Token validation failed');
                     
-                    if (isAdmin) {
+                    if (isOwner) {
                         signupButton.disabled = false;
                         signupButton.innerHTML = originalButtonText;
-                        this.showNotification('GitHub token validation failed. Admin account requires a valid token.', 'error');
+                        this.showNotification('GitHub token validation failed. The owner account requires a valid token.', 'error');
             return;
                     } else {
-                        this.showNotification('GitHub token validation failed. Account will be created without admin privileges.', 'warning');
+                        this.showNotification('GitHub token validation failed. Account will be created without a token.', 'warning');
                     }
                 }
         }
@@ -637,26 +1252,36 @@ class AuthManager {
             name, 
             email, 
             password: hashedPassword,
-                isAdmin: isAdmin,
+                role,
                 hasToken: hasToken,
             createdAt: new Date().toISOString(),
             lastLogin: new Date().toISOString()
         };
+        const recoveryCodes = await this.createRecoveryCodes(newUser);
         
             // Get existing users and add new user
-            const users = JSON.parse(localStorage.getItem('users') || '[]');
+            const users = this.loadUsers();
         users.push(newUser);
-        localStorage.setItem('users', JSON.stringify(users));
+        this.saveUsers(users);
+
+        // Encrypt the token with a key derived from the new password
+        await window.tokenVault.unlock(email, password);
+        if (validatedToken) {
+            await window.tokenVault.storeToken(validatedToken);
+        }
 
         // Auto login after signup
         this.currentUser = { 
             email: newUser.email, 
                 name: newUser.name,
-                isAdmin: newUser.isAdmin,
+                role: newUser.role,
                 hasToken: newUser.hasToken,
                 csrfToken: this.csrfToken
         };
-        localStorage.setItem('currentUser', JSON.stringify(this.currentUser));
+        if (this.needsSecondFactorSetup(newUser)) {
+            this.currentUser.twoFactorSetupRequired = true;
+        }
+        this.sessionManager.start(this.currentUser, true);
         
             // Show success animation
             signupButton.innerHTML = '<i class="fas fa-check-circle mr-2"></i>Account created!';
@@ -667,17 +1292,18 @@ class AuthManager {
                 this.showNotification(`Welcome, ${name}! Your account was created successfully.`, 'success');
         document.getElementById('auth-modal').classList.add('hidden');
         this.updateUI();
-                
-                if (isAdmin) {
-                    if (!hasToken && !this.AUTO_VERIFY_ADMIN) {
-                        // Need to get GitHub token for admin
-                        document.getElementById('github-token-modal').classList.remove('hidden');
-                        this.setupGitHubTokenForm();
+                this.showRecoveryCodes(recoveryCodes).then(() => {
+                    if (this.currentUser?.twoFactorSetupRequired) {
+                        this.showNotification('Set up two-factor authentication in the Profile tab to make changes.', 'warning');
                     }
-        window.location.hash = '#dashboard';
-                } else {
-                    window.location.hash = '#home';
+                });
+                
+                if (isOwner && !hasToken && !this.AUTO_VERIFY_ADMIN) {
+                    // Need to get GitHub token for the owner
+                    document.getElementById('github-token-modal').classList.remove('hidden');
+                    this.setupGitHubTokenForm();
                 }
+                window.location.hash = this.can('dashboard:view') ? '#dashboard' : '#home';
                 
                 // Reset button state
                 signupButton.disabled = false;
@@ -698,10 +1324,11 @@ class AuthManager {
     }
 
     handleLogout() {
-        // Only clear the active token on logout, preserving the saved token for next login
-        localStorage.removeItem('active_github_token');
+        // Wipe the decrypted token, the encrypted copy stays for the next login
+        window.githubService?.clearToken();
+        window.tokenVault?.lock();
         this.currentUser = null;
-        localStorage.removeItem('currentUser');
+        this.sessionManager.end();
         this.updateUI();
         this.showNotification('Logged out successfully', 'success');
         window.location.hash = '#home';
@@ -725,8 +1352,8 @@ class AuthManager {
             mobileAuthButton.classList.add('hidden');
             mobileSignoutButton.classList.remove('hidden');
             
-            // Show dashboard elements for admin
-            if (this.currentUser.isAdmin) {
+            // Show dashboard elements to roles that may see them
+            if (this.can('dashboard:view')) {
             if (dashboardSection) dashboardSection.classList.remove('hidden');
             if (dashboardMenu) dashboardMenu.classList.remove('hidden');
             if (dashboardContainer) dashboardContainer.classList.remove('hidden');
@@ -739,10 +1366,11 @@ class AuthManager {
             }
             
             // Add token reset option in dashboard
-            if (this.currentUser.isAdmin && dashboardContainer) {
+            if (this.can('token:manage') && dashboardContainer) {
                 if (!document.getElementById('reset-token-link')) {
                     const resetTokenLink = document.createElement('a');
                     resetTokenLink.id = 'reset-token-link';
+                    resetTokenLink.dataset.permission = 'token:manage';
                     resetTokenLink.href = '#';
                     resetTokenLink.className = 'block px-4 py-2 text-gray-300 hover:bg-white/10 hover:text-white transition';
                     resetTokenLink.innerHTML = '<i class="fas fa-key mr-2"></i>Update GitHub Token';
@@ -774,6 +1402,7 @@ class AuthManager {
             // Close auth modal
             if (authModal) authModal.classList.add('hidden');
         }
+        this.applyPermissions();
     }
 
     showNotification(message, type = 'info') {
@@ -857,12 +1486,6 @@ class AuthManager {
         }, 3500);
     }
 
-    // Add method to check if current user is admin
-    isAdmin() {
-        if (!this.currentUser) return false;
-        return this.currentUser.isAdmin || this.currentUser.email === this.ADMIN_EMAIL;
-    }
-
     setupGitHubTokenForm() {
         const githubTokenForm = document.getElementById('github-token-form');
         const tokenInput = document.getElementById('github-token');
@@ -944,20 +1567,19 @@ class AuthManager {
                         setTimeout(() => {
                             feedback.innerHTML = '<div class="space-y-2"><span class="text-green-500 flex items-center"><i class="fas fa-check-circle mr-2"></i>Token automatically verified for admin account!</span><div class="w-full bg-white/10 rounded-full h-1.5 mt-1"><div class="bg-green-500 h-1.5 rounded-full" style="width: 100%"></div></div></div>';
                             
-                            // Store token in both locations
-                            this.saveToStorage('active_github_token', token);
-                            this.saveToStorage('github_token_' + this.currentUser.email, token);
+                            // Store token encrypted for the current user
+                            this.saveGitHubToken(token);
                             
                             // Update user record
-                            const users = JSON.parse(this.getFromStorage('users') || '[]');
+                            const users = this.loadUsers();
                             const user = users.find(u => u.email === this.currentUser.email);
                             if (user) {
                                 user.hasToken = true;
-                                this.saveToStorage('users', JSON.stringify(users));
+                                this.saveUsers(users);
                                 
                                 // Update current user
                                 this.currentUser.hasToken = true;
-                                this.saveToStorage('currentUser', JSON.stringify(this.currentUser));
+                                this.sessionManager.save(this.currentUser);
                             }
                             
                             submitBtn.innerHTML = '<i class="fas fa-check mr-2"></i><span>Token Verified</span>';
@@ -995,21 +1617,20 @@ class AuthManager {
                             progressBar.classList.add('bg-green-500');
                             feedback.innerHTML = '<div class="space-y-2"><span class="text-green-500 flex items-center"><i class="fas fa-check-circle mr-2"></i>Token validated successfully!</span><div class="w-full bg-white/10 rounded-full h-1.5 mt-1"><div class="bg-green-500 h-1.5 rounded-full" style="width: 100%"></div></div></div>';
                             
-                            // Store this token for the current user in both locations
+                            // Store this token encrypted for the current user
                             if (this.currentUser) {
-                                this.saveToStorage('active_github_token', token);
-                                this.saveToStorage('github_token_' + this.currentUser.email, token);
+                                this.saveGitHubToken(token);
                                 
                                 // Update user record
-                                const users = JSON.parse(this.getFromStorage('users') || '[]');
+                                const users = this.loadUsers();
                                 const user = users.find(u => u.email === this.currentUser.email);
                                 if (user) {
                                     user.hasToken = true;
-                                    this.saveToStorage('users', JSON.stringify(users));
+                                    this.saveUsers(users);
                                     
                                     // Update current user
                                     this.currentUser.hasToken = true;
-                                    this.saveToStorage('currentUser', JSON.stringify(this.currentUser));
+                                    this.sessionManager.save(this.currentUser);
                                 }
                             }
                         
@@ -1017,9 +1638,10 @@ class AuthManager {
                             feedback.innerHTML += '<div class="mt-2 py-2 px-3 rounded-lg bg-white/5"><span class="text-primary-400 flex items-center"><i class="fas fa-spinner fa-spin mr-2"></i>Initializing repository access...</span></div>';
                         
                         try {
-                            // Test file operations
-                                await window.githubService.updateFile('data/test.json', { test: true, timestamp: new Date().toISOString() });
-                            await window.githubService.getFileContent('data/test.json');
+                            // Validating already tried a real write, see GitHubService.testWriteAccess
+                            if (validation.canWrite === false || validation.repoAccess === false) {
+                                throw new Error(validation.message);
+                            }
                             
                                 feedback.querySelector('div.mt-2').innerHTML = '<span class="text-green-500 flex items-center"><i class="fas fa-check-circle mr-2"></i>Repository access verified!</span>';
                                 
@@ -1048,14 +1670,14 @@ class AuthManager {
                             }
                         } else {
                             feedback.innerHTML = `<span class="text-red-500 flex items-center"><i class="fas fa-exclamation-circle mr-2"></i>${validation.message || 'Token validation failed'}</span>`;
-                            this.removeFromStorage('active_github_token');
+                            window.githubService.clearToken();
                             submitBtn.disabled = false;
                             submitBtn.innerHTML = '<i class="fas fa-key mr-2"></i><span>Save Token</span>';
                     }
                 } catch (error) {
                     console.error('Token validation error:', error);
                         feedback.innerHTML = `<span class="text-red-500 flex items-center"><i class="fas fa-exclamation-circle mr-2"></i>${error.message || 'Token validation failed'}</span>`;
-                        this.removeFromStorage('active_github_token');
+                        window.githubService.clearToken();
                         submitBtn.disabled = false;
                         submitBtn.innerHTML = '<i class="fas fa-key mr-2"></i><span>Save Token</span>';
                         
@@ -1080,11 +1702,12 @@ class AuthManager {
             tokenInp.addEventListener('input', () => {
                 const token = tokenInp.value.trim();
                 
-                // Basic validation for GitHub token format (usually 40+ characters, alphanumeric)
-                if (token && token.length >= 30 && /^[a-zA-Z0-9_]+$/.test(token)) {
+                // Classic (ghp_), fine-grained (github_pat_), OAuth (gho_/ghu_) or legacy 40-character tokens
+                const tokenType = GitHubService.tokenType(token);
+                if (tokenType && tokenType !== 'unknown') {
                     tokenInp.classList.add('ring-2', 'ring-green-500');
                     tokenInp.classList.remove('ring-red-500');
-                    feedback.innerHTML = '<span class="text-green-500"><i class="fas fa-check-circle mr-2"></i>Token format looks valid</span>';
+                    feedback.innerHTML = `<span class="text-green-500"><i class="fas fa-check-circle mr-2"></i>Token format looks valid (${GitHubService.TOKEN_TYPE_LABELS[tokenType]})</span>`;
                 } else if (token) {
                     tokenInp.classList.add('ring-2', 'ring-red-500');
                     tokenInp.classList.remove('ring-green-500');
@@ -1134,20 +1757,19 @@ class AuthManager {
                 setTimeout(() => {
                     feedback.innerHTML = '<div class="space-y-2"><span class="text-green-500 flex items-center"><i class="fas fa-check-circle mr-2"></i>Token automatically verified for admin account!</span><div class="w-full bg-white/10 rounded-full h-1.5 mt-1"><div class="bg-green-500 h-1.5 rounded-full" style="width: 100%"></div></div></div>';
                     
-                    // Store token in both locations
-                    this.saveToStorage('active_github_token', token);
-                    this.saveToStorage('github_token_' + this.currentUser.email, token);
+                    // Store token encrypted for the current user
+                    this.saveGitHubToken(token);
                     
                     // Update user record
-                    const users = JSON.parse(this.getFromStorage('users') || '[]');
+                    const users = this.loadUsers();
                     const user = users.find(u => u.email === this.currentUser.email);
                     if (user) {
                         user.hasToken = true;
-                        this.saveToStorage('users', JSON.stringify(users));
+                        this.saveUsers(users);
                         
                         // Update current user
                         this.currentUser.hasToken = true;
-                        this.saveToStorage('currentUser', JSON.stringify(this.currentUser));
+                        this.sessionManager.save(this.currentUser);
                     }
                     
                     submitBtn.innerHTML = '<i class="fas fa-check mr-2"></i><span>Token Verified</span>';
@@ -1187,21 +1809,20 @@ class AuthManager {
                     }
                     feedback.innerHTML = '<div class="space-y-2"><span class="text-green-500 flex items-center"><i class="fas fa-check-circle mr-2"></i>Token validated successfully!</span><div class="w-full bg-white/10 rounded-full h-1.5 mt-1"><div class="bg-green-500 h-1.5 rounded-full" style="width: 100%"></div></div></div>';
                     
-                    // Store this token for the current user in both locations
+                    // Store this token encrypted for the current user
                     if (this.currentUser) {
-                        this.saveToStorage('active_github_token', token);
-                        this.saveToStorage('github_token_' + this.currentUser.email, token);
+                        this.saveGitHubToken(token);
                         
                         // Update user record
-                        const users = JSON.parse(this.getFromStorage('users') || '[]');
+                        const users = this.loadUsers();
                         const user = users.find(u => u.email === this.currentUser.email);
                         if (user) {
                             user.hasToken = true;
-                            this.saveToStorage('users', JSON.stringify(users));
+                            this.saveUsers(users);
                             
                             // Update current user
                             this.currentUser.hasToken = true;
-                            this.saveToStorage('currentUser', JSON.stringify(this.currentUser));
+                            this.sessionManager.save(this.currentUser);
                         }
                     }
                     
@@ -1209,9 +1830,10 @@ class AuthManager {
                     feedback.innerHTML += '<div class="mt-2 py-2 px-3 rounded-lg bg-white/5"><span class="text-primary-400 flex items-center"><i class="fas fa-spinner fa-spin mr-2"></i>Initializing repository access...</span></div>';
                     
                     try {
-                        // Test file operations
-                        await window.githubService.updateFile('data/test.json', { test: true, timestamp: new Date().toISOString() });
-                        await window.githubService.getFileContent('data/test.json');
+                        // Validating already tried a real write, see GitHubService.testWriteAccess
+                        if (validation.canWrite === false || validation.repoAccess === false) {
+                            throw new Error(validation.message);
+                        }
                         
                         feedback.querySelector('div.mt-2').innerHTML = '<span class="text-green-500 flex items-center"><i class="fas fa-check-circle mr-2"></i>Repository access verified!</span>';
                         
@@ -1240,14 +1862,14 @@ class AuthManager {
                     }
                 } else {
                     feedback.innerHTML = `<span class="text-red-500 flex items-center"><i class="fas fa-exclamation-circle mr-2"></i>${validation.message || 'Token validation failed'}</span>`;
-                    this.removeFromStorage('active_github_token');
+                    window.githubService.clearToken();
                     submitBtn.disabled = false;
                     submitBtn.innerHTML = '<i class="fas fa-key mr-2"></i><span>Save Token</span>';
                 }
             } catch (error) {
                 console.error('Token validation error:', error);
                 feedback.innerHTML = `<span class="text-red-500 flex items-center"><i class="fas fa-exclamation-circle mr-2"></i>${error.message || 'Token validation failed'}</span>`;
-                this.removeFromStorage('active_github_token');
+                window.githubService.clearToken();
                 submitBtn.disabled = false;
                 submitBtn.innerHTML = '<i class="fas fa-key mr-2"></i><span>Save Token</span>';
                 
@@ -1266,6 +1888,13 @@ class AuthManager {
     }
 }
 
+AuthManager.SECOND_FACTOR_ATTEMPTS = 5;
+AuthManager.LOGIN_ATTEMPTS = 5;
+AuthManager.LOGIN_ATTEMPT_WINDOW = 15 * 60 * 1000;
+// What a role that writes may do before it set up two-factor authentication
+AuthManager.SETUP_PERMISSIONS = ['dashboard:view', 'account:security'];
+AuthManager.PASSWORD_PATTERN = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]{8,}$/;
+
 // Initialize auth manager when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
     window.authManager = new AuthManager();
@@ -0,0 +1,120 @@
+/**
+ * Content Codec
+ *
+ * Converts file content to and from bytes and base64 without the Latin-1
+ * limits of btoa/atob, so Bengali text, emoji and binary images survive a
+ * round trip. How a file is decoded is decided by its extension: JSON,
+ * text, or binary (returned as an ArrayBuffer). Unknown extensions are
+ * parsed as JSON when possible and kept as text otherwise.
+ */
+
+const ContentCodec = {
+    TEXT_EXTENSIONS: ['txt', 'md', 'html', 'htm', 'css', 'js', 'csv', 'svg', 'xml', 'yml', 'yaml'],
+
+    BINARY_TYPES: {
+        png: 'image/png',
+        jpg: 'image/jpeg',
+        jpeg: 'image/jpeg',
+        gif: 'image/gif',
+        webp: 'image/webp',
+        avif: 'image/avif',
+        bmp: 'image/bmp',
+        ico: 'image/x-icon',
+        pdf: 'application/pdf',
+        zip: 'application/zip',
+        woff: 'font/woff',
+        woff2: 'font/woff2',
+        ttf: 'font/ttf',
+        mp3: 'audio/mpeg',
+        mp4: 'video/mp4'
+    },
+
+    extension(path = '') {
+        const name = path.split('/').pop();
+        return name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+    },
+
+    // 'json', 'text' or 'binary'
+    kind(path = '') {
+        const extension = this.extension(path);
+        if (this.BINARY_TYPES[extension]) return 'binary';
+        if (this.TEXT_EXTENSIONS.includes(extension)) return 'text';
+        return 'json';
+    },
+
+    mimeType(path = '') {
+        const extension = this.extension(path);
+        if (this.BINARY_TYPES[extension]) return this.BINARY_TYPES[extension];
+        if (extension === 'svg') return 'image/svg+xml';
+        return this.kind(path) === 'json' ? 'application/json' : 'text/plain; charset=utf-8';
+    },
+
+    isBinary(content) {
+        return content instanceof ArrayBuffer || ArrayBuffer.isView(content);
+    },
+
+    stringify(content) {
+        if (this.isBinary(content)) {
+            return new TextDecoder().decode(content);
+        }
+        return typeof content === 'object'
+            ? JSON.stringify(content, null, 2)
+            : String(content);
+    },
+
+    toBytes(content) {
+        if (content instanceof ArrayBuffer) {
+            return new Uint8Array(content);
+        }
+        if (ArrayBuffer.isView(content)) {
+            return new Uint8Array(content.buffer, content.byteOffset, content.byteLength);
+        }
+        return new TextEncoder().encode(this.stringify(content));
+    },
+
+    parseText(path, text) {
+        if (this.kind(path) === 'text') {
+            return text;
+        }
+        try {
+            return JSON.parse(text);
+        } catch (e) {
+            return text;
+        }
+    },
+
+    decode(path, bytes) {
+        const view = bytes instanceof ArrayBuffer ? new Uint8Array(bytes) : bytes;
+        if (this.kind(path) === 'binary') {
+            return view.buffer.slice(view.byteOffset, view.byteOffset + view.byteLength);
+        }
+        return this.parseText(path, new TextDecoder().decode(view));
+    },
+
+    bytesToBase64(bytes) {
+        // Chunked so large files do not overflow the argument limit
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    },
+
+    base64ToBytes(base64) {
+        // GitHub wraps base64 content in newlines
+        const binary = atob(base64.replace(/\s/g, ''));
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    },
+
+    toBase64(content) {
+        return this.bytesToBase64(this.toBytes(content));
+    },
+
+    fromBase64(path, base64) {
+        return this.decode(path, this.base64ToBytes(base64));
+    }
+};
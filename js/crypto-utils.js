@@ -0,0 +1,120 @@
+/**
+ * Crypto Utilities
+ *
+ * Thin helpers over WebCrypto: PBKDF2 key derivation from a password,
+ * salted PBKDF2 password hashes, one-time recovery codes and AES-GCM
+ * encryption of short strings such as access tokens.
+ */
+
+const CryptoUtils = {
+    PBKDF2_ITERATIONS: 310000,
+    // No 0/o, 1/l/i, so codes can be typed from a printout
+    RECOVERY_ALPHABET: 'abcdefghjkmnpqrstuvwxyz23456789',
+
+    randomBytes(length) {
+        return crypto.getRandomValues(new Uint8Array(length));
+    },
+
+    toBase64(bytes) {
+        return ContentCodec.bytesToBase64(bytes);
+    },
+
+    fromBase64(base64) {
+        return ContentCodec.base64ToBytes(base64);
+    },
+
+    async importPassword(password) {
+        return crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveKey', 'deriveBits']);
+    },
+
+    // Non-extractable AES-GCM key derived from a password and salt
+    async deriveKey(password, salt, iterations = this.PBKDF2_ITERATIONS) {
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            await this.importPassword(password),
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    },
+
+    /*
+     * Salted password hash as 'pbkdf2-sha256$<iterations>$<salt>$<hash>', so
+     * the iteration count can be raised later without breaking older hashes.
+     */
+    async hashPassword(password, salt = this.randomBytes(16), iterations = this.PBKDF2_ITERATIONS) {
+        const bits = await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            await this.importPassword(password),
+            256
+        );
+        return ['pbkdf2-sha256', iterations, this.toBase64(salt), this.toBase64(new Uint8Array(bits))].join('$');
+    },
+
+    async sha256Hex(text) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+    },
+
+    // Unsalted SHA-256 hex digest that earlier versions stored
+    async legacyPasswordHash(password) {
+        return this.sha256Hex(password);
+    },
+
+    // Codes like 'k7mq3-x9tda' with 50 random bits each
+    generateRecoveryCodes(count = 10) {
+        const alphabet = this.RECOVERY_ALPHABET;
+        const limit = 256 - (256 % alphabet.length);
+        return Array.from({ length: count }, () => {
+            let code = '';
+            while (code.length < 10) {
+                // Rejection sampling keeps every character equally likely
+                for (const byte of this.randomBytes(16)) {
+                    if (byte < limit && code.length < 10) code += alphabet[byte % alphabet.length];
+                }
+            }
+            return `${code.slice(0, 5)}-${code.slice(5)}`;
+        });
+    },
+
+    // The codes are long and random, so an unsalted digest is enough to store them
+    async hashRecoveryCode(code) {
+        return this.sha256Hex(code.toLowerCase().replace(/[^a-z0-9]/g, ''));
+    },
+
+    // Compares without stopping at the first difference, so timing reveals nothing
+    constantTimeEqual(a, b) {
+        if (a.length !== b.length) return false;
+        let difference = 0;
+        for (let i = 0; i < a.length; i++) {
+            difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+        }
+        return difference === 0;
+    },
+
+    /*
+     * { valid, needsUpgrade }: needsUpgrade is set for legacy hashes and for
+     * hashes with fewer iterations than the current default.
+     */
+    async verifyPassword(password, stored = '') {
+        const [scheme, iterations, salt] = stored.split('$');
+        if (scheme === 'pbkdf2-sha256') {
+            const valid = this.constantTimeEqual(await this.hashPassword(password, this.fromBase64(salt), Number(iterations)), stored);
+            return { valid, needsUpgrade: valid && Number(iterations) < this.PBKDF2_ITERATIONS };
+        }
+        const valid = this.constantTimeEqual(await this.legacyPasswordHash(password), stored);
+        return { valid, needsUpgrade: valid };
+    },
+
+    async encrypt(key, text) {
+        const iv = this.randomBytes(12);
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+        return { iv: this.toBase64(iv), data: this.toBase64(new Uint8Array(data)) };
+    },
+
+    // Throws when the key is wrong or the data was tampered with
+    async decrypt(key, { iv, data }) {
+        const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: this.fromBase64(iv) }, key, this.fromBase64(data));
+        return new TextDecoder().decode(plain);
+    }
+};
@@ -0,0 +1,249 @@
+/**
+ * Data Schemas
+ *
+ * Describes the shape of the portfolio data files and upgrades older
+ * versions of them. Object files (profile, settings) carry a top-level
+ * `schemaVersion`; list files (projects, skills) carry one per record, so
+ * records are migrated and validated one by one.
+ *
+ * Migrations are registered per file and target version and receive the
+ * object or record at the previous version. Unknown fields are kept.
+ */
+
+// Raised when content about to be written does not match its schema
+class DataValidationError extends Error {
+    constructor(path, issues) {
+        super(`${path} has invalid data: ${issues.map(issue => DataSchemas.describeIssue(issue)).join('; ')}`);
+        this.name = 'DataValidationError';
+        this.path = path;
+        this.issues = issues;
+    }
+}
+
+const DataSchemas = {
+    SCHEMAS: {
+        'projects.json': {
+            version: 1,
+            list: true,
+            record: {
+                id: { type: 'number', required: true },
+                title: { type: 'string', required: true, minLength: 1 },
+                category: { type: 'string', default: 'web' },
+                status: { type: 'string', enum: ['completed', 'in-progress', 'planned'], default: 'completed' },
+                description: { type: 'string', default: '' },
+                image: { type: 'string', default: '' },
+                link: { type: 'string', default: '' },
+                repository: { type: 'string' },
+                topics: { type: 'array', items: { type: 'string' } },
+                languages: { type: 'array', items: { type: 'string' } },
+                stars: { type: 'number', min: 0 },
+                source: { type: 'object' }
+            }
+        },
+        'skills.json': {
+            version: 1,
+            list: true,
+            record: {
+                id: { type: 'number', required: true },
+                name: { type: 'string', required: true, minLength: 1 },
+                category: { type: 'string', default: 'programming-languages' },
+                proficiency: { type: 'number', required: true, min: 0, max: 100 }
+            }
+        },
+        'profile.json': {
+            version: 1,
+            fields: {
+                name: { type: 'string', default: '' },
+                title: { type: 'string', default: '' },
+                email: { type: 'string', default: '' },
+                phone: { type: 'string', default: '' },
+                bio: { type: 'string', default: '' },
+                profileImage: { type: 'string', default: '' }
+            }
+        },
+        'settings.json': {
+            version: 1,
+            fields: {
+                theme: { type: 'string', enum: ['dark', 'light', 'auto'], default: 'dark' },
+                notifications: {
+                    type: 'object',
+                    default: {},
+                    fields: {
+                        email_notifications: { type: 'boolean', default: true },
+                        project_updates: { type: 'boolean', default: true },
+                        show_email: { type: 'boolean', default: true }
+                    }
+                },
+                // See SessionManager
+                session: {
+                    type: 'object',
+                    default: {},
+                    fields: {
+                        idle_minutes: { type: 'number', min: 1, max: 1440, default: 30 },
+                        absolute_hours: { type: 'number', min: 1, max: 168, default: 12 },
+                        remember_days: { type: 'number', min: 1, max: 365, default: 30 }
+                    }
+                }
+            }
+        }
+    },
+
+    // file name -> { version: upgrade from version - 1 }
+    MIGRATIONS: {},
+
+    registerMigration(fileName, version, migrate) {
+        this.MIGRATIONS[fileName] = { ...this.MIGRATIONS[fileName], [version]: migrate };
+    },
+
+    fileName(path = '') {
+        return path.split('/').pop();
+    },
+
+    forPath(path) {
+        return this.SCHEMAS[this.fileName(path)] || null;
+    },
+
+    empty(path) {
+        return this.forPath(path)?.list ? [] : { schemaVersion: this.forPath(path).version };
+    },
+
+    // Run the registered migrations from the value's version up to the current one
+    migrate(fileName, value) {
+        const target = this.SCHEMAS[fileName].version;
+        let current = value;
+        for (let version = (value.schemaVersion || 0) + 1; version <= target; version++) {
+            const migration = this.MIGRATIONS[fileName]?.[version];
+            current = { ...(migration ? migration(current) : current), schemaVersion: version };
+        }
+        return current;
+    },
+
+    // Fill in defaults for missing optional fields
+    normalize(rule, value) {
+        if ((value === undefined || value === null) && rule.default !== undefined) {
+            value = JSON.parse(JSON.stringify(rule.default));
+        }
+        if (rule.fields && value && typeof value === 'object' && !Array.isArray(value)) {
+            const normalized = { ...value };
+            Object.entries(rule.fields).forEach(([key, fieldRule]) => {
+                const field = this.normalize(fieldRule, value[key]);
+                if (field !== undefined) normalized[key] = field;
+            });
+            return normalized;
+        }
+        return value;
+    },
+
+    // List of problems, each { field, message }
+    validate(rule, value, field = '') {
+        const label = field || 'value';
+        if (value === undefined || value === null) {
+            return rule.required ? [{ field, message: `${label} is required` }] : [];
+        }
+
+        const actual = Array.isArray(value) ? 'array' : typeof value;
+        if (actual !== rule.type || (rule.type === 'number' && !Number.isFinite(value))) {
+            return [{ field, message: `${label} must be ${rule.type === 'array' ? 'a list' : `a ${rule.type}`}` }];
+        }
+        if (rule.enum && !rule.enum.includes(value)) {
+            return [{ field, message: `${label} must be one of ${rule.enum.join(', ')}` }];
+        }
+        if (rule.minLength && value.length < rule.minLength) {
+            return [{ field, message: `${label} must not be empty` }];
+        }
+        if (rule.min !== undefined && value < rule.min) {
+            return [{ field, message: `${label} must be at least ${rule.min}` }];
+        }
+        if (rule.max !== undefined && value > rule.max) {
+            return [{ field, message: `${label} must be at most ${rule.max}` }];
+        }
+        if (rule.items) {
+            return value.flatMap((item, index) => this.validate(rule.items, item, `${label}[${index}]`));
+        }
+        if (rule.fields) {
+            return Object.entries(rule.fields).flatMap(([key, fieldRule]) =>
+                this.validate(fieldRule, value[key], field ? `${field}.${key}` : key));
+        }
+        return [];
+    },
+
+    /*
+     * Migrate, normalize and validate a data file. List files return the
+     * valid records plus an issue ({ index, record, errors }) per invalid
+     * record, which keeps the original record. Object files replace invalid
+     * fields with their defaults and report an issue ({ field, errors }) each.
+     */
+    check(path, content) {
+        const schema = this.forPath(path);
+        if (!schema) {
+            return { content, issues: [] };
+        }
+        const fileName = this.fileName(path);
+
+        if (schema.list) {
+            if (!Array.isArray(content)) {
+                return { content: [], issues: [{ index: null, record: content, errors: [{ field: '', message: 'the file must contain a list' }] }] };
+            }
+            const records = [];
+            const issues = [];
+            content.forEach((record, index) => {
+                if (!record || typeof record !== 'object' || Array.isArray(record)) {
+                    issues.push({ index, record, errors: [{ field: '', message: 'entry must be an object' }] });
+                    return;
+                }
+                const upgraded = this.normalize({ fields: schema.record }, this.migrate(fileName, record));
+                const errors = this.validate({ type: 'object', fields: schema.record }, upgraded);
+                if (errors.length > 0) {
+                    issues.push({ index, record, errors });
+                } else {
+                    records.push(upgraded);
+                }
+            });
+            return { content: records, issues };
+        }
+
+        // An empty list is what a missing object file used to be read as
+        const source = content && typeof content === 'object' && !Array.isArray(content) ? content : {};
+        const issues = source === content || (Array.isArray(content) && content.length === 0)
+            ? []
+            : [{ field: '', errors: [{ field: '', message: 'the file must contain an object' }] }];
+        const upgraded = this.normalize({ fields: schema.fields }, this.migrate(fileName, source));
+        Object.entries(schema.fields).forEach(([key, rule]) => {
+            const errors = this.validate(rule, upgraded[key], key);
+            if (errors.length > 0) {
+                issues.push({ field: key, errors });
+                upgraded[key] = this.normalize(rule, undefined);
+            }
+        });
+        return { content: upgraded, issues };
+    },
+
+    describeIssue(issue) {
+        const where = issue.index !== undefined
+            ? (issue.index === null ? 'file' : `entry ${issue.index + 1}${issue.record?.title || issue.record?.name ? ` (${issue.record.title || issue.record.name})` : ''}`)
+            : (issue.field || 'file');
+        return `${where}: ${issue.errors.map(error => error.message).join(', ')}`;
+    }
+};
+
+// Version 1: records get ids and numbers as numbers (form fields used to save strings)
+DataSchemas.registerMigration('projects.json', 1, (project) => ({
+    ...project,
+    id: typeof project.id === 'string' && project.id.trim() !== '' && !Number.isNaN(Number(project.id)) ? Number(project.id) : project.id
+}));
+
+DataSchemas.registerMigration('skills.json', 1, (skill) => {
+    const toNumber = value => (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value)) ? Number(value) : value);
+    return { ...skill, id: toNumber(skill.id), proficiency: toNumber(skill.proficiency) };
+});
+
+// Version 1: settings used to be saved flat ({ theme, email_notifications, ... }) in the browser
+DataSchemas.registerMigration('settings.json', 1, (settings) => {
+    if (settings.notifications) return settings;
+    const { theme, email_notifications, project_updates, show_email, ...rest } = settings;
+    const notifications = {};
+    Object.entries({ email_notifications, project_updates, show_email }).forEach(([key, value]) => {
+        if (value !== undefined) notifications[key] = value === true || value === 'on';
+    });
+    return { ...rest, theme, notifications };
+});
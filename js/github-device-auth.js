@@ -0,0 +1,282 @@
+/**
+ * GitHub Device Flow Sign-in
+ *
+ * Obtains a GitHub token through the OAuth device authorization flow instead
+ * of a pasted personal access token, refreshes it before it expires and hands
+ * every new token to GitHubService.setToken.
+ *
+ * Configured from, in increasing order of precedence, the
+ * `portfolio:oauth-client-id|oauth-base-url|oauth-scope|api-base-url` meta
+ * tags, `window.PORTFOLIO_CONFIG.oauth` and localStorage `github_oauth_config`.
+ * The base URL can point at a local stand-in server for testing, or at a
+ * proxy, since github.com does not answer these endpoints with CORS headers.
+ * The API base URL is handed to GitHubService, so a stand-in server also
+ * answers the API calls that validate and use the new token.
+ *
+ * The refresh token is kept encrypted in the token vault, so refreshing only
+ * runs while a user is logged in.
+ */
+
+class GitHubDeviceAuth {
+    constructor(service, config = GitHubDeviceAuth.loadConfig()) {
+        this.service = service;
+        this.config = config;
+        this.refreshTimer = null;
+        this.session = null;
+        this.service.apiBaseUrl = this.config.apiBaseUrl;
+
+        window.addEventListener('token-vault-unlocked', async () => {
+            await this.loadSession();
+            this.scheduleRefresh();
+        });
+        window.addEventListener('token-vault-locked', () => {
+            clearTimeout(this.refreshTimer);
+            this.session = null;
+        });
+    }
+
+    static loadConfig() {
+        const meta = name => document.querySelector(`meta[name="portfolio:${name}"]`)?.content || undefined;
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem('github_oauth_config') || '{}');
+        } catch (e) {
+            console.warn('Ignoring invalid OAuth configuration in localStorage');
+        }
+
+        const layers = [
+            { clientId: meta('oauth-client-id'), baseUrl: meta('oauth-base-url'), scope: meta('oauth-scope'), apiBaseUrl: meta('api-base-url') },
+            window.PORTFOLIO_CONFIG?.oauth || {},
+            saved
+        ];
+        const config = { ...GitHubDeviceAuth.DEFAULTS };
+        layers.forEach(layer => {
+            Object.entries(layer).forEach(([key, value]) => {
+                if (value) config[key] = value;
+            });
+        });
+        config.baseUrl = config.baseUrl.replace(/\/+$/, '');
+        config.apiBaseUrl = config.apiBaseUrl.replace(/\/+$/, '');
+        return config;
+    }
+
+    saveConfig(config) {
+        this.config = { ...this.config, ...config };
+        this.service.apiBaseUrl = this.config.apiBaseUrl;
+        localStorage.setItem('github_oauth_config', JSON.stringify(config));
+    }
+
+    isConfigured() {
+        return Boolean(this.config.clientId);
+    }
+
+    async post(path, body) {
+        const response = await fetch(`${this.config.baseUrl}${path}`, {
+            method: 'POST',
+            headers: { 'Accept': 'application/json', 'Content-Type': 'application/json' },
+            body: JSON.stringify({ client_id: this.config.clientId, ...body })
+        });
+        if (!response.ok) {
+            throw new Error(`GitHub sign-in failed: ${response.status} ${response.statusText}`);
+        }
+        return response.json();
+    }
+
+    async requestDeviceCode() {
+        const data = await this.post('/login/device/code', { scope: this.config.scope });
+        if (data.error) {
+            throw new Error(data.error_description || data.error);
+        }
+        return {
+            deviceCode: data.device_code,
+            userCode: data.user_code,
+            verificationUri: data.verification_uri,
+            interval: data.interval || 5,
+            expiresAt: Date.now() + data.expires_in * 1000
+        };
+    }
+
+    wait(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(resolve, ms);
+            signal?.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(new DOMException('Sign-in cancelled', 'AbortError'));
+            }, { once: true });
+        });
+    }
+
+    // Poll until the user has entered the code on GitHub
+    async pollForToken(flow, signal) {
+        let interval = flow.interval;
+        while (Date.now() < flow.expiresAt) {
+            await this.wait(interval * 1000, signal);
+            const data = await this.post('/login/oauth/access_token', {
+                device_code: flow.deviceCode,
+                grant_type: 'urn:ietf:params:oauth:grant-type:device_code'
+            });
+
+            if (data.access_token) {
+                return data;
+            }
+            switch (data.error) {
+                case 'authorization_pending':
+                    break;
+                case 'slow_down':
+                    interval = data.interval || interval + 5;
+                    break;
+                case 'access_denied':
+                    throw new Error('Access was denied on GitHub.');
+                case 'expired_token':
+                    throw new Error('The code expired. Please start again.');
+                default:
+                    throw new Error(data.error_description || data.error || 'Unexpected response from GitHub');
+            }
+        }
+        throw new Error('The code expired. Please start again.');
+    }
+
+    async loadSession() {
+        try {
+            this.session = JSON.parse(await window.tokenVault.getSecret('oauth') || 'null');
+        } catch (e) {
+            this.session = null;
+        }
+    }
+
+    async storeSession(data) {
+        const now = Date.now();
+        this.session = {
+            refreshToken: data.refresh_token || null,
+            expiresAt: data.expires_in ? now + data.expires_in * 1000 : null,
+            refreshTokenExpiresAt: data.refresh_token_expires_in ? now + data.refresh_token_expires_in * 1000 : null
+        };
+        if (window.tokenVault?.isUnlocked()) {
+            await window.tokenVault.setSecret('oauth', JSON.stringify(this.session));
+        }
+
+        await this.service.setToken(data.access_token);
+        window.dispatchEvent(new CustomEvent('github-token-changed', {
+            detail: { token: data.access_token, source: 'oauth' }
+        }));
+        this.scheduleRefresh();
+    }
+
+    clearSession() {
+        clearTimeout(this.refreshTimer);
+        this.session = null;
+        if (window.tokenVault?.isUnlocked()) {
+            window.tokenVault.deleteSecret('oauth');
+        }
+    }
+
+    // Refresh five minutes before the token expires (or right away if it already has)
+    scheduleRefresh() {
+        clearTimeout(this.refreshTimer);
+        if (!this.session?.refreshToken || !this.session.expiresAt) return;
+
+        const delay = Math.max(this.session.expiresAt - Date.now() - 5 * 60 * 1000, 0);
+        this.refreshTimer = setTimeout(() => {
+            this.refresh().catch(error => console.error('Could not refresh the GitHub token:', error));
+        }, delay);
+    }
+
+    async refresh() {
+        const { refreshToken, refreshTokenExpiresAt } = this.session || {};
+        if (!refreshToken || (refreshTokenExpiresAt && refreshTokenExpiresAt < Date.now())) {
+            this.clearSession();
+            throw new Error('The GitHub sign-in has expired. Please sign in again.');
+        }
+
+        const data = await this.post('/login/oauth/access_token', {
+            grant_type: 'refresh_token',
+            refresh_token: refreshToken
+        });
+        if (!data.access_token) {
+            this.clearSession();
+            throw new Error(data.error_description || data.error || 'Could not refresh the GitHub token');
+        }
+
+        await this.storeSession(data);
+        return data.access_token;
+    }
+
+    // Walk the user through the device flow; resolves with the token, or null if cancelled
+    signIn() {
+        if (!this.isConfigured()) {
+            return Promise.reject(new Error('GitHub sign-in is not configured. Set an OAuth client ID first.'));
+        }
+
+        const controller = new AbortController();
+        const modal = document.createElement('div');
+        modal.className = 'fixed inset-0 bg-black/50 flex items-center justify-center z-50';
+        modal.innerHTML = `
+            <div class="glass-effect p-6 rounded-xl w-full max-w-md text-center">
+                <h3 class="text-xl font-bold mb-4"><i class="fab fa-github mr-2"></i>Sign in with GitHub</h3>
+                <div id="device-flow-code" class="hidden space-y-4">
+                    <p class="text-gray-300">Enter this code on GitHub to give the dashboard access:</p>
+                    <div class="flex items-center justify-center gap-3">
+                        <span id="device-user-code" class="font-mono text-3xl tracking-widest text-primary-400"></span>
+                        <button type="button" id="device-copy-code" class="px-3 py-2 bg-white/10 rounded-lg hover:bg-white/20 transition" title="Copy code">
+                            <i class="fas fa-copy"></i>
+                        </button>
+                    </div>
+                    <a id="device-verification-link" href="#" target="_blank" rel="noopener noreferrer"
+                        class="inline-block px-4 py-2 bg-gradient-to-r from-primary-500 to-purple-500 rounded-lg hover:from-primary-600 hover:to-purple-600 transition">
+                        <i class="fas fa-external-link-alt mr-2"></i>Open GitHub
+                    </a>
+                </div>
+                <p id="device-flow-status" class="text-sm text-gray-400 mt-4">
+                    <i class="fas fa-spinner fa-spin mr-2"></i>Requesting a sign-in code...
+                </p>
+                <button type="button" id="device-flow-cancel" class="mt-6 px-4 py-2 bg-white/10 rounded-lg hover:bg-white/20 transition">Cancel</button>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        const status = modal.querySelector('#device-flow-status');
+        const cancelButton = modal.querySelector('#device-flow-cancel');
+
+        return new Promise((resolve) => {
+            cancelButton.addEventListener('click', () => {
+                controller.abort();
+                modal.remove();
+                resolve(null);
+            });
+
+            (async () => {
+                try {
+                    const flow = await this.requestDeviceCode();
+                    modal.querySelector('#device-user-code').textContent = flow.userCode;
+                    modal.querySelector('#device-verification-link').href = flow.verificationUri;
+                    modal.querySelector('#device-copy-code').addEventListener('click', () => {
+                        navigator.clipboard?.writeText(flow.userCode);
+                    });
+                    modal.querySelector('#device-flow-code').classList.remove('hidden');
+                    status.innerHTML = '<i class="fas fa-spinner fa-spin mr-2"></i>Waiting for you to authorize on GitHub...';
+
+                    const data = await this.pollForToken(flow, controller.signal);
+                    await this.storeSession(data);
+                    modal.remove();
+                    resolve(data.access_token);
+                } catch (error) {
+                    if (error.name === 'AbortError') return;
+                    console.error('Device flow sign-in failed:', error);
+                    status.innerHTML = `<span class="text-red-400"><i class="fas fa-exclamation-circle mr-2"></i>${utils.escapeHtml(error.message)}</span>`;
+                    cancelButton.textContent = 'Close';
+                }
+            })();
+        });
+    }
+}
+
+GitHubDeviceAuth.DEFAULTS = {
+    clientId: null,
+    baseUrl: 'https://github.com',
+    apiBaseUrl: 'https://api.github.com',
+    scope: 'repo'
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.githubDeviceAuth = new GitHubDeviceAuth(window.githubService);
+});
@@ -0,0 +1,187 @@
+/**
+ * GitHub HTTP Client
+ *
+ * Every request GitHubService makes to GitHub goes through this client, which
+ * - revalidates GET requests with ETag / If-None-Match, keeping the responses
+ *   in memory and in IndexedDB so unchanged files cost no rate limit; they
+ *   are cached per token, so one account never sees another's responses,
+ * - tracks the X-RateLimit-* headers and announces them with a
+ *   `github-rate-limit` window event, and
+ * - retries 403/429 rate-limit responses with exponential backoff.
+ */
+
+class GitHubHttpClient {
+    constructor(options = {}) {
+        this.maxRetries = options.maxRetries ?? 3;
+        this.baseDelay = options.baseDelay ?? 1000;
+        this.maxDelay = options.maxDelay ?? 60 * 1000;
+        this.memoryCache = new Map();
+        this.persistentCache = IdbStore.isSupported() ? new IdbStore('portfolio-http-cache', 'responses') : null;
+        this.rateLimit = null;
+        this.credentialHash = null;
+    }
+
+    // Responses fetched without a token are public; others are keyed by a hash of the token
+    async cacheKey(url, headers) {
+        const credential = headers.Authorization || headers.authorization;
+        if (!credential) {
+            return `${GitHubHttpClient.PUBLIC_PREFIX}${url}`;
+        }
+        if (this.credentialHash?.credential !== credential) {
+            this.credentialHash = { credential, hash: (await CryptoUtils.sha256Hex(credential)).slice(0, 16) };
+        }
+        return `${this.credentialHash.hash}:${url}`;
+    }
+
+    // Pass skipCache for requests whose response headers matter, a 304 keeps none of them
+    async fetch(url, { skipCache = false, ...options } = {}) {
+        const method = (options.method || 'GET').toUpperCase();
+        const cacheable = method === 'GET' && !skipCache;
+        const headers = { ...(options.headers || {}) };
+        const key = cacheable ? await this.cacheKey(url, headers) : null;
+        const cached = cacheable ? await this.getCached(key) : null;
+        if (cached) {
+            headers['If-None-Match'] = cached.etag;
+        }
+
+        for (let attempt = 0; ; attempt++) {
+            // We revalidate ourselves, so keep the browser cache out of the way
+            const response = await fetch(url, { ...options, headers, cache: 'no-store' });
+            this.updateRateLimit(response);
+
+            if (response.status === 304 && cached) {
+                return this.responseFromCache(cached);
+            }
+
+            const delay = this.retryDelay(response, attempt);
+            if (delay !== null) {
+                this.announceRateLimit({ retryingIn: delay });
+                await new Promise(resolve => setTimeout(resolve, delay));
+                continue;
+            }
+
+            const etag = response.headers.get('ETag');
+            if (cacheable && response.ok && etag) {
+                await this.setCached(key, {
+                    etag,
+                    status: response.status,
+                    contentType: response.headers.get('Content-Type'),
+                    body: await response.clone().arrayBuffer()
+                });
+            }
+            return response;
+        }
+    }
+
+    static isRateLimited(response) {
+        if (response.status === 429) return true;
+        return response.status === 403 && (
+            response.headers.get('X-RateLimit-Remaining') === '0' ||
+            response.headers.has('Retry-After')
+        );
+    }
+
+    // Milliseconds to wait before retrying, or null to give up and return the response
+    retryDelay(response, attempt) {
+        if (!GitHubHttpClient.isRateLimited(response) || attempt >= this.maxRetries) {
+            return null;
+        }
+
+        let delay = this.baseDelay * 2 ** attempt;
+        const retryAfter = Number(response.headers.get('Retry-After'));
+        const reset = Number(response.headers.get('X-RateLimit-Reset'));
+        if (retryAfter) {
+            delay = Math.max(delay, retryAfter * 1000);
+        } else if (response.headers.get('X-RateLimit-Remaining') === '0' && reset) {
+            delay = Math.max(delay, reset * 1000 - Date.now());
+        }
+
+        return delay <= this.maxDelay ? delay : null;
+    }
+
+    updateRateLimit(response) {
+        const limit = response.headers.get('X-RateLimit-Limit');
+        if (limit === null) return;
+
+        this.rateLimit = {
+            limit: Number(limit),
+            remaining: Number(response.headers.get('X-RateLimit-Remaining')),
+            used: Number(response.headers.get('X-RateLimit-Used')),
+            reset: Number(response.headers.get('X-RateLimit-Reset')) * 1000,
+            resource: response.headers.get('X-RateLimit-Resource') || 'core'
+        };
+        this.announceRateLimit();
+    }
+
+    announceRateLimit(extra = {}) {
+        if (!this.rateLimit) return;
+        window.dispatchEvent(new CustomEvent('github-rate-limit', {
+            detail: { ...this.rateLimit, ...extra }
+        }));
+    }
+
+    responseFromCache(cached) {
+        return new Response(cached.body, {
+            status: cached.status,
+            headers: {
+                'Content-Type': cached.contentType || 'application/json',
+                'ETag': cached.etag
+            }
+        });
+    }
+
+    async getCached(key) {
+        if (this.memoryCache.has(key)) {
+            return this.memoryCache.get(key);
+        }
+        if (!this.persistentCache) {
+            return null;
+        }
+
+        try {
+            const cached = await this.persistentCache.get(key);
+            if (cached) {
+                this.memoryCache.set(key, cached);
+            }
+            return cached;
+        } catch (error) {
+            console.warn('Could not read HTTP cache:', error);
+            return null;
+        }
+    }
+
+    async setCached(key, entry) {
+        this.memoryCache.set(key, entry);
+        if (!this.persistentCache) return;
+
+        try {
+            await this.persistentCache.set(key, entry);
+        } catch (error) {
+            console.warn('Could not write HTTP cache:', error);
+        }
+    }
+
+    // With keepPublic only the responses fetched with a token are removed
+    async clearCache({ keepPublic = false } = {}) {
+        const isPrivate = key => !key.startsWith(GitHubHttpClient.PUBLIC_PREFIX);
+        if (!keepPublic) {
+            this.memoryCache.clear();
+        } else {
+            [...this.memoryCache.keys()].filter(isPrivate).forEach(key => this.memoryCache.delete(key));
+        }
+        if (!this.persistentCache) return;
+
+        try {
+            if (!keepPublic) {
+                await this.persistentCache.clear();
+                return;
+            }
+            const keys = (await this.persistentCache.keys()).filter(isPrivate);
+            await Promise.all(keys.map(key => this.persistentCache.delete(key)));
+        } catch (error) {
+            console.warn('Could not clear HTTP cache:', error);
+        }
+    }
+}
+
+GitHubHttpClient.PUBLIC_PREFIX = 'public:';
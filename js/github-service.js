@@ -1,19 +1,450 @@
+class GitHubApiError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'GitHubApiError';
+        this.status = status;
+    }
+}
+
+// Raised when GitHub keeps refusing requests after backing off
+class GitHubRateLimitError extends GitHubApiError {
+    constructor(message, status, resetAt = null) {
+        super(message, status);
+        this.name = 'GitHubRateLimitError';
+        this.resetAt = resetAt;
+    }
+}
+
+// Raised when a write is based on an older version of the file than the remote one
+class GitHubConflictError extends GitHubApiError {
+    constructor({ path, localContent, remoteContent, remoteSha, baseContent = null }) {
+        super(`${path} was changed elsewhere since it was loaded`, 409);
+        this.name = 'GitHubConflictError';
+        this.path = path;
+        this.localContent = localContent;
+        this.remoteContent = remoteContent;
+        this.remoteSha = remoteSha;
+        this.baseContent = baseContent;
+    }
+}
+
+// Collects several file changes so they can be committed together
+class Changeset {
+    constructor(service, message = null) {
+        this.service = service;
+        this.message = message;
+        this.changes = new Map();
+    }
+
+    get size() {
+        return this.changes.size;
+    }
+
+    stage(path, content) {
+        this.changes.set(path, { path, content: this.service.prepareForWrite(path, content) });
+        return this;
+    }
+
+    stageDeletion(path) {
+        this.changes.set(path, { path, delete: true });
+        return this;
+    }
+
+    async commit(message = this.message) {
+        return this.service.commitChangeset(this, message);
+    }
+}
+
 class GitHubService {
     constructor() {
         this.token = null;
-        this.owner = 'hrbayezid';
-        this.repo = 'bayezid-portfolio';
-        this.dataFolder = 'data';
-        this.loadToken();
+        this.tokenHealth = null;
+        this.tokenValidation = null;
+        this.applyRepositoryConfig(this.loadRepositoryConfig());
+        // GitHubDeviceAuth replaces it when a stand-in server or proxy is configured
         this.apiBaseUrl = 'https://api.github.com';
+        this.http = new GitHubHttpClient();
+        this.fileVersions = new Map();
+        this.loadDraftState();
+        this.storageConfig = this.loadStorageConfig();
+        this.adapter = StorageAdapters.create(this.storageConfig.provider, this, this.storageConfig.options);
+        this.dataIssues = new Map();
+        this.accessPolicy = null;
+        this.outbox = new OfflineOutbox(this);
     }
 
-    loadToken() {
-        // Load token from local storage instead of session storage
-        this.token = localStorage.getItem('active_github_token');
-        if (!this.token) {
-            console.log('No active GitHub token found');
+    /*
+     * Repository settings, later sources win:
+     *   1. built-in defaults
+     *   2. <meta name="portfolio:owner|repo|branch|data-folder" content="...">
+     *   3. window.PORTFOLIO_CONFIG = { owner, repo, branch, dataFolder }
+     *   4. values saved from the GitHub Backend Setup dialog
+     * A missing branch means the repository's default branch.
+     */
+    loadRepositoryConfig() {
+        const config = { ...GitHubService.DEFAULT_REPOSITORY };
+
+        const metaKeys = { owner: 'owner', repo: 'repo', branch: 'branch', dataFolder: 'data-folder' };
+        Object.entries(metaKeys).forEach(([key, name]) => {
+            const meta = document.querySelector(`meta[name="portfolio:${name}"]`);
+            if (meta && meta.content.trim()) {
+                config[key] = meta.content.trim();
+            }
+        });
+
+        if (window.PORTFOLIO_CONFIG && typeof window.PORTFOLIO_CONFIG === 'object') {
+            Object.keys(metaKeys).forEach(key => {
+                if (window.PORTFOLIO_CONFIG[key]) {
+                    config[key] = window.PORTFOLIO_CONFIG[key];
+                }
+            });
+        }
+
+        try {
+            const saved = JSON.parse(localStorage.getItem('portfolio_repository') || 'null');
+            if (saved) {
+                Object.assign(config, saved);
+            }
+        } catch (error) {
+            console.error('Error reading saved repository config:', error);
+        }
+
+        return GitHubService.normalizeRepositoryConfig(config);
+    }
+
+    static normalizeRepositoryConfig(config) {
+        return {
+            owner: (config.owner || '').trim(),
+            repo: (config.repo || '').trim(),
+            branch: (config.branch || '').trim() || null,
+            dataFolder: (config.dataFolder || '').trim().replace(/^\/+|\/+$/g, '') || 'data'
+        };
+    }
+
+    applyRepositoryConfig(config) {
+        this.owner = config.owner;
+        this.repo = config.repo;
+        this.branch = config.branch;
+        this.dataFolder = config.dataFolder;
+        this.defaultBranch = null;
+        this.fileVersions?.clear();
+        this.outbox?.scopeChanged();
+    }
+
+    getRepositoryConfig() {
+        return { owner: this.owner, repo: this.repo, branch: this.branch, dataFolder: this.dataFolder };
+    }
+
+    // Check that the repository, branch and data folder all exist
+    async validateRepositoryConfig(config) {
+        const { owner, repo, branch, dataFolder } = GitHubService.normalizeRepositoryConfig(config);
+        if (!owner || !repo) {
+            return { valid: false, errors: ['Owner and repository are required'] };
+        }
+
+        const repoPath = `/repos/${owner}/${repo}`;
+        let repoData;
+        try {
+            repoData = await this.request(repoPath);
+        } catch (error) {
+            return { valid: false, errors: [`Repository ${owner}/${repo} not found or not accessible`] };
+        }
+
+        const targetBranch = branch || repoData.default_branch;
+        try {
+            await this.request(`${repoPath}/branches/${targetBranch}`);
+        } catch (error) {
+            return { valid: false, errors: [`Branch "${targetBranch}" does not exist`] };
+        }
+
+        try {
+            const listing = await this.request(`${repoPath}/contents/${dataFolder}?ref=${encodeURIComponent(targetBranch)}`);
+            if (!Array.isArray(listing)) {
+                return { valid: false, errors: [`"${dataFolder}" is a file, not a folder`] };
+            }
+        } catch (error) {
+            return { valid: false, errors: [`Folder "${dataFolder}" does not exist on branch "${targetBranch}"`] };
+        }
+
+        return { valid: true, errors: [], defaultBranch: repoData.default_branch };
+    }
+
+    async saveRepositoryConfig(config) {
+        this.assertAllowed('backend:manage', 'changing the repository');
+        const normalized = GitHubService.normalizeRepositoryConfig(config);
+        const validation = await this.validateRepositoryConfig(normalized);
+        if (!validation.valid) {
+            return validation;
+        }
+
+        localStorage.setItem('portfolio_repository', JSON.stringify(normalized));
+        this.applyRepositoryConfig(normalized);
+        return validation;
+    }
+
+    // Path of a data file inside the configured data folder
+    dataPath(fileName) {
+        return `${this.dataFolder}/${fileName}`;
+    }
+
+    loadStorageConfig() {
+        try {
+            const stored = JSON.parse(localStorage.getItem('storage_provider') || 'null');
+            if (stored && StorageAdapters.registry[stored.provider]) {
+                return { provider: stored.provider, options: stored.options || {} };
+            }
+        } catch (error) {
+            console.error('Error reading storage provider config:', error);
         }
+        return { provider: 'github', options: {} };
+    }
+
+    // Switch where portfolio data is read from and written to
+    setStorageProvider(provider, options = {}) {
+        if (!StorageAdapters.registry[provider]) {
+            throw new Error(`Unknown storage provider: ${provider}`);
+        }
+        this.assertAllowed('backend:manage', 'changing the storage provider');
+
+        this.storageConfig = { provider, options };
+        this.adapter = StorageAdapters.create(provider, this, options);
+        this.fileVersions.clear();
+        localStorage.setItem('storage_provider', JSON.stringify(this.storageConfig));
+        this.outbox.scopeChanged();
+        return this.adapter;
+    }
+
+    isWritable() {
+        return this.adapter.canWrite();
+    }
+
+    // policy(permission) -> whether the signed-in user has it; set by AuthManager
+    setAccessPolicy(policy) {
+        this.accessPolicy = policy;
+    }
+
+    assertAllowed(permission, action) {
+        if (this.accessPolicy && !this.accessPolicy(permission)) {
+            throw new AccessDeniedError(`Your role does not allow ${action}`, permission);
+        }
+    }
+
+    assertPermitted(path) {
+        this.assertAllowed(AccessControl.permissionForPath(path), `changing ${path}`);
+    }
+
+    // Remember which version of a file the local copy is based on (sha null = file missing)
+    rememberVersion(path, sha, content) {
+        this.fileVersions.set(path, { sha, content });
+    }
+
+    getLoadedVersion(path) {
+        return this.fileVersions.get(path) || null;
+    }
+
+    // Base the next write on the remote version after a conflict was resolved
+    acceptRemoteVersion(conflict) {
+        this.rememberVersion(conflict.path, conflict.remoteSha, conflict.remoteContent);
+    }
+
+    getHeaders(extra = {}) {
+        const headers = {
+            'Accept': 'application/vnd.github.v3+json',
+            ...extra
+        };
+        if (this.token) {
+            headers['Authorization'] = `Bearer ${this.token}`;
+        }
+        return headers;
+    }
+
+    repoApiPath(suffix = '') {
+        return `/repos/${this.owner}/${this.repo}${suffix}`;
+    }
+
+    // All GitHub traffic goes through the HTTP client for caching and backoff
+    fetch(url, options = {}) {
+        return this.http.fetch(url, options);
+    }
+
+    getRateLimit() {
+        return this.http.rateLimit;
+    }
+
+    async errorFromResponse(response) {
+        let message = response.statusText;
+        try {
+            message = (await response.json()).message || message;
+        } catch (e) {
+            // Error body was not JSON
+        }
+
+        if (GitHubHttpClient.isRateLimited(response)) {
+            const reset = Number(response.headers.get('X-RateLimit-Reset'));
+            return new GitHubRateLimitError(message, response.status, reset ? reset * 1000 : null);
+        }
+        return new GitHubApiError(message, response.status);
+    }
+
+    // Call the GitHub REST API and return the parsed JSON body
+    async request(endpoint, options = {}) {
+        const { body, headers, ...rest } = options;
+        const response = await this.fetch(`${this.apiBaseUrl}${endpoint}`, {
+            ...rest,
+            headers: this.getHeaders(body !== undefined ? { 'Content-Type': 'application/json', ...headers } : headers),
+            ...(body !== undefined ? { body: JSON.stringify(body) } : {})
+        });
+
+        if (!response.ok) {
+            throw await this.errorFromResponse(response);
+        }
+
+        return response.status === 204 ? null : response.json();
+    }
+
+    async getDefaultBranch() {
+        if (!this.defaultBranch) {
+            const repoData = await this.request(this.repoApiPath());
+            this.defaultBranch = repoData.default_branch;
+        }
+        return this.defaultBranch;
+    }
+
+    // Branch the live site is published from
+    async getBaseBranch() {
+        return this.branch || this.getDefaultBranch();
+    }
+
+    // Branch that data is read from and written to (the draft branch in draft mode)
+    async getBranch() {
+        return this.draftBranch || this.getBaseBranch();
+    }
+
+    // Explicit branch for API calls; null lets GitHub use the default branch
+    get workingBranch() {
+        return this.draftBranch || this.branch;
+    }
+
+    supportsDrafts() {
+        return this.adapter instanceof GitHubContentsAdapter;
+    }
+
+    isDraftMode() {
+        return Boolean(this.draftBranch);
+    }
+
+    // Start writing to a per-session branch instead of the live branch
+    async enableDraftMode() {
+        if (!this.supportsDrafts()) {
+            throw new Error('Draft mode is only available with the GitHub storage provider');
+        }
+        this.adapter.assertWritable('drafting');
+        this.assertAllowed('content:publish', 'working in drafts');
+        if (this.draftBranch) {
+            return this.draftBranch;
+        }
+
+        const baseBranch = await this.getBaseBranch();
+        const baseRef = await this.request(this.repoApiPath(`/git/ref/heads/${baseBranch}`));
+        const draftBranch = `draft/${Date.now().toString(36)}`;
+
+        await this.request(this.repoApiPath('/git/refs'), {
+            method: 'POST',
+            body: { ref: `refs/heads/${draftBranch}`, sha: baseRef.object.sha }
+        });
+
+        this.setDraftBranch(draftBranch);
+        return draftBranch;
+    }
+
+    setDraftBranch(branch, pullRequestUrl = null) {
+        this.draftBranch = branch;
+        this.draftPullRequestUrl = pullRequestUrl;
+        if (branch) {
+            sessionStorage.setItem('draft_branch', JSON.stringify({ branch, pullRequestUrl }));
+        } else {
+            sessionStorage.removeItem('draft_branch');
+        }
+        // Loaded versions belong to the previous branch
+        this.fileVersions.clear();
+    }
+
+    loadDraftState() {
+        try {
+            const draft = JSON.parse(sessionStorage.getItem('draft_branch') || 'null');
+            this.draftBranch = draft?.branch || null;
+            this.draftPullRequestUrl = draft?.pullRequestUrl || null;
+        } catch (error) {
+            this.draftBranch = null;
+            this.draftPullRequestUrl = null;
+        }
+    }
+
+    /*
+     * Publish the draft to the live branch.
+     *   method 'pull-request' opens (or reuses) a pull request and keeps the draft open
+     *   method 'fast-forward' moves the live branch to the draft when it has not moved since
+     * Resolves with { method, url? }.
+     */
+    async publishDraft({ method = 'pull-request', title = 'Publish portfolio changes' } = {}) {
+        if (!this.draftBranch) {
+            throw new Error('There is no draft to publish');
+        }
+        this.assertAllowed('content:publish', 'publishing drafts');
+
+        const baseBranch = await this.getBaseBranch();
+        const comparison = await this.request(this.repoApiPath(`/compare/${baseBranch}...${this.draftBranch}`));
+        if (comparison.ahead_by === 0) {
+            throw new Error('The draft has no changes to publish');
+        }
+
+        if (method === 'fast-forward') {
+            if (comparison.behind_by > 0) {
+                throw new Error(`${baseBranch} has changed since the draft was started. Open a pull request instead.`);
+            }
+            const draftRef = await this.request(this.repoApiPath(`/git/ref/heads/${this.draftBranch}`));
+            await this.request(this.repoApiPath(`/git/refs/heads/${baseBranch}`), {
+                method: 'PATCH',
+                body: { sha: draftRef.object.sha, force: false }
+            });
+            await this.deleteDraftBranch();
+            return { method };
+        }
+
+        if (this.draftPullRequestUrl) {
+            return { method, url: this.draftPullRequestUrl };
+        }
+
+        const pullRequest = await this.request(this.repoApiPath('/pulls'), {
+            method: 'POST',
+            body: {
+                title,
+                head: this.draftBranch,
+                base: baseBranch,
+                body: `Draft changes saved from the portfolio dashboard (${comparison.ahead_by} commit(s)).`
+            }
+        });
+        this.setDraftBranch(this.draftBranch, pullRequest.html_url);
+        return { method, url: pullRequest.html_url };
+    }
+
+    // Throw the draft away; an open pull request is closed along with its branch
+    async discardDraft() {
+        if (!this.draftBranch) {
+            return;
+        }
+        await this.deleteDraftBranch();
+    }
+
+    async deleteDraftBranch() {
+        try {
+            await this.request(this.repoApiPath(`/git/refs/heads/${this.draftBranch}`), { method: 'DELETE' });
+        } catch (error) {
+            if (error.status !== 422 && error.status !== 404) {
+                throw error;
+            }
+        }
+        this.setDraftBranch(null);
     }
 
     async setToken(token) {
@@ -23,9 +454,17 @@ class GitHubService {
         }
         
         try {
+            // Kept in memory only, the encrypted copy lives in the token vault
+            if (token !== this.token) {
+                this.tokenHealth = null;
+                // Another account's token, its cached responses must not stay behind
+                if (this.token) {
+                    this.http.clearCache({ keepPublic: true });
+                }
+            }
             this.token = token;
-            // Store token in localStorage for persistence
-            localStorage.setItem('active_github_token', token);
+            this.announceTokenHealth();
+            this.outbox.flush();
             return true;
         } catch (error) {
             console.error('Error setting token:', error);
@@ -33,7 +472,45 @@ class GitHubService {
         }
     }
 
-    async validateToken() {
+    // Forget the token and any responses fetched with it
+    clearToken() {
+        this.token = null;
+        this.tokenHealth = null;
+        this.http.clearCache({ keepPublic: true });
+        this.announceTokenHealth();
+    }
+
+    /*
+     * Checks the current token against GitHub. Besides `valid`, `username`,
+     * `repoAccess` and `message` the result reports the token type, its
+     * OAuth scopes (null for fine-grained tokens, which have none), when it
+     * expires and whether it can actually write repository contents.
+     * Concurrent checks of the same token share one round of requests.
+     */
+    validateToken() {
+        if (this.tokenValidation?.token !== this.token) {
+            const token = this.token;
+            const result = this.inspectToken().then(health => {
+                if (this.token === token) {
+                    this.tokenHealth = { ...health, checkedAt: new Date().toISOString() };
+                    this.announceTokenHealth();
+                }
+                return health;
+            }).finally(() => {
+                if (this.tokenValidation?.result === result) {
+                    this.tokenValidation = null;
+                }
+            });
+            this.tokenValidation = { token, result };
+        }
+        return this.tokenValidation.result;
+    }
+
+    announceTokenHealth() {
+        window.dispatchEvent(new CustomEvent('github-token-health', { detail: this.tokenHealth }));
+    }
+
+    async inspectToken() {
         if (!this.token) {
             return { valid: false, message: 'No token provided' };
         }
@@ -49,21 +526,15 @@ class GitHubService {
                 };
             }
             
-            // First check if the token format is valid
-            if (!/^[a-zA-Z0-9_]+$/.test(this.token) || this.token.length < 30) {
-                return { 
-                    valid: false, 
-                    message: 'Invalid token format' 
-                };
-            }
+            // Tokens of an unrecognized format are left to the /user call below
+            const tokenType = GitHubService.tokenType(this.token);
             
             // Use try-catch for fetch to handle network errors
             try {
-                const response = await fetch(`${this.apiBaseUrl}/user`, {
-                    headers: {
-                        'Authorization': `Bearer ${this.token}`,
-                        'Accept': 'application/vnd.github.v3+json'
-                    }
+                // Bypass the ETag cache, a 304 would drop the scope and expiry headers
+                const response = await this.fetch(`${this.apiBaseUrl}/user`, {
+                    headers: this.getHeaders(),
+                    skipCache: true
                 });
                 
                 if (!response.ok) {
@@ -72,37 +543,45 @@ class GitHubService {
                 }
 
                 const userData = await response.json();
+                const scopesHeader = response.headers.get('X-OAuth-Scopes');
+                const details = {
+                    valid: true,
+                    username: userData.login,
+                    tokenType,
+                    scopes: scopesHeader === null ? null : scopesHeader.split(',').map(scope => scope.trim()).filter(Boolean),
+                    expiresAt: GitHubService.parseTokenExpiration(response.headers.get('github-authentication-token-expiration'))
+                };
                 
                 // Verify repository access
                 try {
-                    const repoResponse = await fetch(`${this.apiBaseUrl}/repos/${this.owner}/${this.repo}`, {
-                        headers: {
-                            'Authorization': `Bearer ${this.token}`,
-                            'Accept': 'application/vnd.github.v3+json'
-                        }
+                    const repoResponse = await this.fetch(`${this.apiBaseUrl}${this.repoApiPath()}`, {
+                        headers: this.getHeaders()
                     });
 
                     if (!repoResponse.ok) {
                         return {
-                            valid: true,
-                            username: userData.login,
+                            ...details,
                             repoAccess: false,
+                            canWrite: false,
                             message: 'Token valid but lacks repository access'
                         };
                     }
 
+                    const canWrite = await this.testWriteAccess();
                     return {
-                        valid: true,
-                        username: userData.login,
+                        ...details,
                         repoAccess: true,
-                        message: 'Token fully verified with repository access'
+                        canWrite,
+                        message: canWrite
+                            ? 'Token fully verified with repository access'
+                            : 'Token can read the repository but not write to it'
                     };
                 } catch (repoError) {
                     // Token is valid but repo access failed
                     return {
-                        valid: true,
-                        username: userData.login,
+                        ...details,
                         repoAccess: false,
+                        canWrite: false,
                         message: 'Token valid but repo access check failed'
                     };
                 }
@@ -111,7 +590,9 @@ class GitHubService {
                 console.error('Network error during validation:', networkError);
                 return {
                     valid: false,
-                    message: 'Network error: Could not connect to GitHub'
+                    message: networkError instanceof TypeError
+                        ? 'Network error: Could not connect to GitHub'
+                        : networkError.message
                 };
             }
         } catch (error) {
@@ -123,159 +604,224 @@ class GitHubService {
         }
     }
 
-    async getFileContent(path) {
-        try {
-            // Check if token is available for authenticated request
-            const headers = {
-                'Accept': 'application/vnd.github.v3+json'
-            };
-            
-            if (this.token) {
-                headers['Authorization'] = `Bearer ${this.token}`;
-            }
+    /*
+     * The repository's `permissions` field describes the user, not the token,
+     * so try a real write: creating a blob needs contents write access and
+     * leaves nothing behind, as unreferenced blobs are never part of a commit.
+     */
+    async testWriteAccess() {
+        const response = await this.fetch(`${this.apiBaseUrl}${this.repoApiPath('/git/blobs')}`, {
+            method: 'POST',
+            headers: this.getHeaders({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify({ content: '', encoding: 'utf-8' })
+        });
+        if (response.ok) {
+            return true;
+        }
+        if ([401, 403, 404].includes(response.status)) {
+            return false;
+        }
+        throw await this.errorFromResponse(response);
+    }
 
-            // Use raw content URL for public files if no token
-            if (!this.token) {
-                // Try to fetch from raw GitHub content first (works for public repos)
-                try {
-                    const rawResponse = await fetch(`https://raw.githubusercontent.com/${this.owner}/${this.repo}/main/${path}`);
-                    
-                    if (rawResponse.ok) {
-                        const text = await rawResponse.text();
-                        try {
-                            return JSON.parse(text);
-                        } catch (e) {
-                            return text;
-                        }
-                    }
-                } catch (e) {
-                    console.warn('Could not fetch from raw GitHub, falling back to API', e);
-                }
-            }
+    /*
+     * 'fine-grained', 'classic', 'oauth', 'app' or 'legacy', or 'unknown' for
+     * other tokens (e.g. from a stand-in server), which only the API can judge;
+     * null when there is no token.
+     */
+    static tokenType(token) {
+        if (!token) return null;
+        if (/^github_pat_\w{22,}$/.test(token)) return 'fine-grained';
+        if (/^ghp_[A-Za-z0-9]{36,}$/.test(token)) return 'classic';
+        if (/^gh[ou]_[A-Za-z0-9]{36,}$/.test(token)) return 'oauth';
+        if (/^ghs_[A-Za-z0-9]{36,}$/.test(token)) return 'app';
+        if (/^[a-f0-9]{40}$/.test(token)) return 'legacy';
+        return 'unknown';
+    }
 
-            // Fall back to API
-            const response = await fetch(`${this.apiBaseUrl}/repos/${this.owner}/${this.repo}/contents/${path}`, {
-                headers: headers
-            });
-            
-            if (!response.ok) {
-                if (response.status === 404) {
-                    console.warn(`File ${path} not found, returning empty array or object`);
-                    return path.endsWith('.json') ? [] : {};
+    // GitHub sends e.g. "2025-03-01 12:00:00 UTC" or "2025-03-01 12:00:00 +0100"
+    static parseTokenExpiration(value) {
+        if (!value) return null;
+        const match = value.trim().match(/^(\d{4}-\d{2}-\d{2})[ T](\d{2}:\d{2}(?::\d{2})?)\s*(UTC|Z|[+-]\d{2}:?\d{2})?$/);
+        const time = match
+            ? Date.parse(`${match[1]}T${match[2]}${!match[3] || /^(UTC|Z)$/.test(match[3]) ? 'Z' : match[3].replace(/^([+-]\d{2}):?(\d{2})$/, '$1:$2')}`)
+            : Date.parse(value);
+        return Number.isNaN(time) ? null : new Date(time).toISOString();
+    }
+
+    async getFileContent(path) {
+        // Show edits still waiting in the outbox rather than the older remote copy
+        const queued = await this.outbox.get(path);
+        if (queued) {
+            return this.checkData(path, queued.content);
+        }
+
+        try {
+            const content = await this.adapter.read(path);
+            if (content === null) {
+                console.warn(`File ${path} not found, returning empty array or object`);
+                if (DataSchemas.forPath(path)) {
+                    return DataSchemas.empty(path);
                 }
-                throw new Error(`Failed to fetch file content: ${response.statusText}`);
-            }
-            
-            const data = await response.json();
-            const content = atob(data.content);
-            try {
-                return JSON.parse(content);
-            } catch (e) {
-                return content;
+                return path.endsWith('.json') ? [] : {};
             }
+            return this.checkData(path, content);
         } catch (error) {
+            // Callers fall back to their local copy; empty data would look like a real, empty file
             console.error('Error fetching file:', error);
-            return path.endsWith('.json') ? [] : null;
+            throw error;
         }
     }
 
-    async updateFile(path, content) {
-        if (!this.token) {
-            throw new Error('GitHub token not set. Authentication required for updating files.');
+    // Upgrade a data file read from storage and set its invalid records aside
+    checkData(path, content) {
+        const result = DataSchemas.check(path, content);
+        if (result.issues.length > 0) {
+            console.warn(`Invalid data in ${path}:`, result.issues.map(issue => DataSchemas.describeIssue(issue)));
+            this.dataIssues.set(path, result.issues);
+        } else {
+            this.dataIssues.delete(path);
         }
+        this.announceDataIssues(path);
+        return result.content;
+    }
+
+    announceDataIssues(path) {
+        window.dispatchEvent(new CustomEvent('portfolio-data-issues', {
+            detail: { path, issues: this.dataIssues.get(path) || [] }
+        }));
+    }
+
+    /*
+     * Validate content before it is written. Records that were set aside as
+     * invalid when the file was read are written back unchanged, so saving
+     * never drops them silently; discardInvalidRecords removes them.
+     */
+    prepareForWrite(path, content) {
+        this.assertPermitted(path);
+        const schema = DataSchemas.forPath(path);
+        if (!schema) {
+            return content;
+        }
+
+        const setAside = schema.list
+            ? (this.dataIssues.get(path) || []).filter(issue => issue.index !== null).map(issue => issue.record)
+            : [];
+        const known = new Set(setAside.map(record => JSON.stringify(record)));
+        const fresh = schema.list && Array.isArray(content)
+            ? content.filter(record => !known.has(JSON.stringify(record)))
+            : content;
+
+        const result = DataSchemas.check(path, fresh);
+        if (result.issues.length > 0) {
+            throw new DataValidationError(path, result.issues);
+        }
+        return schema.list ? [...result.content, ...setAside] : result.content;
+    }
+
+    async discardInvalidRecords(path) {
+        const content = await this.getFileContent(path);
+        this.dataIssues.delete(path);
+        const saved = await this.updateFile(path, content, `Remove invalid entries from ${path}`);
+        this.announceDataIssues(path);
+        return saved;
+    }
+
+    // Failures worth retrying later rather than reporting straight away
+    isRetryableError(error) {
+        return navigator.onLine === false ||
+            error instanceof TypeError ||
+            error instanceof GitHubRateLimitError ||
+            (error instanceof GitHubApiError && error.status >= 500);
+    }
+
+    async updateFile(path, content, commitMessage = null) {
+        this.adapter.assertWritable('updating');
+        content = this.prepareForWrite(path, content);
 
         try {
-            let sha;
-            // First try to get the current file
-            try {
-                const currentFile = await fetch(`${this.apiBaseUrl}/repos/${this.owner}/${this.repo}/contents/${path}`, {
-                    headers: {
-                        'Authorization': `Bearer ${this.token}`,
-                        'Accept': 'application/vnd.github.v3+json'
-                    }
-                }).then(res => res.json());
-                sha = currentFile.sha;
-            } catch (error) {
-                // File doesn't exist yet, that's ok
-                sha = null;
+            await this.adapter.write(path, content, { message: commitMessage });
+            await this.outbox.discard(path);
+            return true;
+        } catch (error) {
+            if (error instanceof GitHubConflictError) {
+                throw error;
+            }
+            if (this.isRetryableError(error)) {
+                await this.outbox.enqueue(path, content, commitMessage);
+                return true;
             }
+            console.error('Error updating file:', error);
+            return false;
+        }
+    }
 
-            // Prepare content - ensure it's a string
-            let contentStr = typeof content === 'object' 
-                ? JSON.stringify(content, null, 2) 
-                : content.toString();
-
-            // Create or update the file
-            const response = await fetch(`${this.apiBaseUrl}/repos/${this.owner}/${this.repo}/contents/${path}`, {
-                method: 'PUT',
-                headers: {
-                    'Authorization': `Bearer ${this.token}`,
-                    'Accept': 'application/vnd.github.v3+json',
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    message: `${sha ? 'Update' : 'Create'} ${path}`,
-                    content: btoa(contentStr),
-                    ...(sha ? { sha } : {})
-                })
-            });
+    createChangeset(message = null) {
+        return new Changeset(this, message);
+    }
 
-            if (!response.ok) {
-                const error = await response.json();
-                throw new Error(`Failed to ${sha ? 'update' : 'create'} file: ${error.message}`);
+    // Write every staged change in one transaction (a single commit on GitHub)
+    // With `queue`, changes that cannot be delivered right now go to the outbox
+    async commitChangeset(changeset, message = null, { queue = true } = {}) {
+        this.adapter.assertWritable('committing');
+
+        if (changeset.size === 0) {
+            return true;
+        }
+
+        const changes = [...changeset.changes.values()];
+        // Deletions are not checked when staged
+        changes.forEach(change => this.assertPermitted(change.path));
+        try {
+            await this.adapter.commit(changes, {
+                message: message || `Update ${changes.map(change => change.path).join(', ')}`
+            });
+            if (queue) {
+                for (const change of changes) {
+                    await this.outbox.discard(change.path);
+                }
             }
             return true;
         } catch (error) {
-            console.error('Error updating file:', error);
+            if (error instanceof GitHubConflictError) {
+                throw error;
+            }
+            if (queue && this.isRetryableError(error) && !changes.some(change => change.delete)) {
+                for (const change of changes) {
+                    await this.outbox.enqueue(change.path, change.content, message);
+                }
+                return true;
+            }
+            console.error('Error committing changeset:', error);
             return false;
         }
     }
 
     async getAllProjectsData() {
-        return await this.getFileContent(`${this.dataFolder}/projects.json`);
+        return await this.getFileContent(this.dataPath('projects.json'));
     }
 
     async getAllSkillsData() {
-        return await this.getFileContent(`${this.dataFolder}/skills.json`);
+        return await this.getFileContent(this.dataPath('skills.json'));
     }
 
     async saveProjectsData(projects) {
-        return await this.updateFile(`${this.dataFolder}/projects.json`, projects);
+        return await this.updateFile(this.dataPath('projects.json'), projects);
     }
     
     async saveSkillsData(skills) {
-        return await this.updateFile(`${this.dataFolder}/skills.json`, skills);
+        return await this.updateFile(this.dataPath('skills.json'), skills);
     }
 
     async createFile(path, content, commitMessage = null) {
-        if (!this.token) {
-            throw new Error('GitHub token not set. Authentication required for creating files.');
-        }
+        this.adapter.assertWritable('creating');
+        this.assertPermitted(path);
 
         try {
-            let contentStr = typeof content === 'object' 
-                ? JSON.stringify(content, null, 2) 
-                : content.toString();
-
-            const message = commitMessage || `Create ${path}`;
-            
-            const response = await fetch(`${this.apiBaseUrl}/repos/${this.owner}/${this.repo}/contents/${path}`, {
-                method: 'PUT',
-                headers: {
-                    'Authorization': `Bearer ${this.token}`,
-                    'Accept': 'application/vnd.github.v3+json',
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    message: message,
-                    content: btoa(contentStr)
-                })
+            await this.adapter.write(path, content, {
+                message: commitMessage || `Create ${path}`,
+                create: true
             });
-
-            if (!response.ok) {
-                const error = await response.json();
-                throw new Error(`Failed to create file: ${error.message}`);
-            }
             return true;
         } catch (error) {
             console.error('Error creating file:', error);
@@ -283,46 +829,175 @@ class GitHubService {
         }
     }
 
-    async deleteFile(path, commitMessage = null) {
-        if (!this.token) {
-            throw new Error('GitHub token not set. Authentication required for deleting files.');
+    // History needs git commits, so only the GitHub adapter provides it
+    supportsHistory() {
+        return this.adapter instanceof GitHubContentsAdapter;
+    }
+
+    // Commits on the working branch that touched a file, newest first
+    async getFileHistory(path, { perPage = 30, page = 1 } = {}) {
+        const branch = await this.getBranch();
+        const query = new URLSearchParams({ path, sha: branch, per_page: perPage, page });
+        const commits = await this.request(this.repoApiPath(`/commits?${query}`));
+        return commits.map(commit => ({
+            sha: commit.sha,
+            message: commit.commit.message,
+            author: commit.author?.login || commit.commit.author?.name || 'unknown',
+            date: commit.commit.author?.date || commit.commit.committer?.date,
+            url: commit.html_url
+        }));
+    }
+
+    // Public (and, with a token, private) repositories owned by the configured owner
+    async listOwnerRepositories() {
+        const repos = [];
+        for (let page = 1; ; page++) {
+            const query = new URLSearchParams({ type: 'owner', sort: 'updated', per_page: 100, page });
+            const batch = await this.request(`/users/${this.owner}/repos?${query}`);
+            repos.push(...batch);
+            if (batch.length < 100) break;
         }
+        return repos.map(repo => ({
+            id: repo.id,
+            name: repo.name,
+            fullName: repo.full_name,
+            description: repo.description || '',
+            topics: repo.topics || [],
+            homepage: repo.homepage || '',
+            url: repo.html_url,
+            language: repo.language,
+            stars: repo.stargazers_count,
+            fork: repo.fork,
+            archived: repo.archived,
+            pushedAt: repo.pushed_at
+        }));
+    }
 
-        try {
-            // Get the file's SHA
-            const fileResponse = await fetch(`${this.apiBaseUrl}/repos/${this.owner}/${this.repo}/contents/${path}`, {
-                headers: {
-                    'Authorization': `Bearer ${this.token}`,
-                    'Accept': 'application/vnd.github.v3+json'
-                }
-            });
-            
-            if (!fileResponse.ok) {
-                throw new Error(`File not found: ${path}`);
-            }
-            
-            const fileData = await fileResponse.json();
-            const sha = fileData.sha;
-            
-            const message = commitMessage || `Delete ${path}`;
-            
-            const response = await fetch(`${this.apiBaseUrl}/repos/${this.owner}/${this.repo}/contents/${path}`, {
-                method: 'DELETE',
-                headers: {
-                    'Authorization': `Bearer ${this.token}`,
-                    'Accept': 'application/vnd.github.v3+json',
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    message: message,
-                    sha: sha
-                })
+    // Bytes of code per language, largest first
+    async getRepositoryLanguages(fullName) {
+        return this.request(`/repos/${fullName}/languages`);
+    }
+
+    async getFileAtCommit(path, sha) {
+        const { content } = await this.adapter.fetchRemote(path, sha);
+        return content;
+    }
+
+    // Write an old version of a file back as a new commit on top of the latest one
+    async restoreFileVersion(path, sha) {
+        const content = await this.getFileAtCommit(path, sha);
+        if (content === null) {
+            throw new Error(`${path} does not exist in commit ${sha.slice(0, 7)}`);
+        }
+
+        const latest = await this.adapter.fetchRemote(path);
+        this.rememberVersion(path, latest.sha, latest.content);
+        if (!(await this.updateFile(path, content, `Restore ${path} to ${sha.slice(0, 7)}`))) {
+            throw new Error(`Failed to restore ${path}`);
+        }
+        return this.checkData(path, content);
+    }
+
+    isAssetPath(value) {
+        return typeof value === 'string' && value.startsWith(`${GitHubService.ASSETS_FOLDER}/`);
+    }
+
+    // URL an image stored in the data can be displayed from
+    resolveAssetUrl(value) {
+        return this.isAssetPath(value) ? this.adapter.assetUrl(value) : value;
+    }
+
+    // Upload an image and return the value to store in the data file
+    async uploadAsset(file, folder = 'images') {
+        if (!this.adapter.supportsAssets() || !this.isWritable()) {
+            // Without a file host the image can only be kept inline
+            return new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onload = () => resolve(reader.result);
+                reader.onerror = () => reject(reader.error);
+                reader.readAsDataURL(file);
             });
+        }
 
-            if (!response.ok) {
-                const error = await response.json();
-                throw new Error(`Failed to delete file: ${error.message}`);
-            }
+        // Name assets by content so re-uploading the same image reuses the file
+        const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+        const hash = Array.from(new Uint8Array(digest).slice(0, 8))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+        const extension = (file.name?.includes('.') ? file.name.split('.').pop() : file.type.split('/')[1] || 'bin').toLowerCase();
+        const path = `${GitHubService.ASSETS_FOLDER}/${folder}/${hash}.${extension}`;
+
+        this.assertPermitted(path);
+        await this.adapter.writeAsset(path, file, { message: `Upload ${file.name || path}` });
+        this.rememberUpload(path);
+        return path;
+    }
+
+    // Uploads of the last ASSET_GRACE_PERIOD, shared by all tabs; they may not be saved in any data file yet
+    recentUploads() {
+        let uploads = {};
+        try {
+            uploads = JSON.parse(localStorage.getItem('recent_asset_uploads') || '{}') || {};
+        } catch (error) {
+            // Invalid entries are dropped
+        }
+        const cutoff = Date.now() - GitHubService.ASSET_GRACE_PERIOD;
+        return Object.fromEntries(Object.entries(uploads).filter(([, at]) => at > cutoff));
+    }
+
+    rememberUpload(path) {
+        try {
+            localStorage.setItem('recent_asset_uploads', JSON.stringify({ ...this.recentUploads(), [path]: Date.now() }));
+        } catch (error) {
+            console.warn('Could not remember the uploaded asset:', error);
+        }
+    }
+
+    /*
+     * Delete uploaded assets that nothing refers to anymore. Besides the
+     * remote data files that is the outbox, recent uploads and `inUse`, the
+     * values the caller still holds in unsaved forms.
+     */
+    async collectGarbageAssets(inUse = []) {
+        if (!this.adapter.supportsAssets()) {
+            return [];
+        }
+        this.adapter.assertWritable('deleting');
+
+        const assets = await this.adapter.listFiles(`${GitHubService.ASSETS_FOLDER}/`);
+        if (assets.length === 0) {
+            return [];
+        }
+
+        // Check the latest remote data without touching the loaded versions
+        const remotes = await Promise.all(
+            GitHubService.DATA_FILES.map(fileName => this.adapter.fetchRemote(this.dataPath(fileName)))
+        );
+        const referenced = JSON.stringify([
+            ...remotes.map(remote => remote.content),
+            ...(await this.outbox.contents()),
+            ...Object.keys(this.recentUploads()),
+            ...inUse
+        ]);
+        const unused = assets.filter(path => !referenced.includes(JSON.stringify(path)));
+        if (unused.length === 0) {
+            return [];
+        }
+
+        const changeset = this.createChangeset(`Remove ${unused.length} unused asset${unused.length === 1 ? '' : 's'}`);
+        unused.forEach(path => changeset.stageDeletion(path));
+        if (!(await changeset.commit())) {
+            throw new Error('Failed to remove unused assets');
+        }
+        return unused;
+    }
+
+    async deleteFile(path, commitMessage = null) {
+        this.adapter.assertWritable('deleting');
+        this.assertPermitted(path);
+
+        try {
+            await this.adapter.remove(path, { message: commitMessage || `Delete ${path}` });
             return true;
         } catch (error) {
             console.error('Error deleting file:', error);
@@ -331,6 +1006,26 @@ class GitHubService {
     }
 }
 
+GitHubService.DEFAULT_REPOSITORY = {
+    owner: 'hrbayezid',
+    repo: 'bayezid-portfolio',
+    branch: null,
+    dataFolder: 'data'
+};
+
+GitHubService.DATA_FILES = ['projects.json', 'skills.json', 'profile.json', 'settings.json'];
+GitHubService.ASSETS_FOLDER = 'assets';
+GitHubService.ASSET_GRACE_PERIOD = 24 * 60 * 60 * 1000;
+
+GitHubService.TOKEN_TYPE_LABELS = {
+    'fine-grained': 'fine-grained personal access token',
+    'classic': 'classic personal access token',
+    'oauth': 'GitHub sign-in token',
+    'app': 'GitHub App token',
+    'legacy': 'legacy personal access token',
+    'unknown': 'token of an unrecognized format'
+};
+
 // Initialize GitHub service when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
     window.githubService = new GitHubService();
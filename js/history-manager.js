@@ -0,0 +1,192 @@
+/**
+ * History Manager
+ *
+ * Drives the dashboard History tab: lists the commits that touched a data
+ * file, shows a per-record diff between two versions and restores an older
+ * version as a new commit.
+ */
+
+class HistoryManager {
+    constructor() {
+        this.tab = document.querySelector('.dashboard-tab[data-tab="history"]');
+        this.fileSelect = document.getElementById('history-file');
+        this.refreshButton = document.getElementById('history-refresh-btn');
+        this.compareButton = document.getElementById('history-compare-btn');
+        this.table = document.getElementById('history-table');
+        this.status = document.getElementById('history-status');
+        this.diffPanel = document.getElementById('history-diff');
+        this.commits = [];
+        this.loadedPath = null;
+        this.init();
+    }
+
+    init() {
+        if (!this.tab || !this.table) return;
+
+        // Load lazily, the commit list costs API requests
+        this.tab.addEventListener('click', () => {
+            if (this.loadedPath !== this.currentPath()) {
+                this.loadHistory();
+            }
+        });
+        this.fileSelect.addEventListener('change', () => this.loadHistory());
+        this.refreshButton.addEventListener('click', () => this.loadHistory());
+        this.compareButton.addEventListener('click', () => this.compareSelected());
+        this.table.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-restore]');
+            if (button) {
+                this.restoreVersion(button.dataset.restore);
+            }
+        });
+    }
+
+    currentPath() {
+        return window.githubService.dataPath(this.fileSelect.value);
+    }
+
+    setStatus(message) {
+        this.status.textContent = message;
+    }
+
+    async loadHistory() {
+        const service = window.githubService;
+        this.diffPanel.classList.add('hidden');
+        this.table.innerHTML = '';
+        this.commits = [];
+
+        if (!service.supportsHistory()) {
+            this.loadedPath = null;
+            this.setStatus('History is only available with the GitHub repository storage provider.');
+            return;
+        }
+
+        const path = this.currentPath();
+        this.setStatus('Loading history...');
+        try {
+            this.commits = await service.getFileHistory(path);
+            this.loadedPath = path;
+            this.renderCommits();
+            this.setStatus(this.commits.length > 0
+                ? `Showing the last ${this.commits.length} commit${this.commits.length === 1 ? '' : 's'} that changed ${path}.`
+                : `No commits found for ${path}.`);
+        } catch (error) {
+            console.error('Failed to load history:', error);
+            this.setStatus(`Could not load history: ${error.message}`);
+        }
+    }
+
+    renderCommits() {
+        this.table.innerHTML = this.commits.map((commit, index) => `
+            <tr class="border-b border-gray-700">
+                <td class="py-4">
+                    <input type="radio" name="history-from" value="${commit.sha}" ${index === 1 ? 'checked' : ''}
+                        class="form-radio text-primary-500" aria-label="Compare from this version">
+                </td>
+                <td class="py-4">
+                    <input type="radio" name="history-to" value="${commit.sha}" ${index === 0 ? 'checked' : ''}
+                        class="form-radio text-primary-500" aria-label="Compare to this version">
+                </td>
+                <td class="py-4">
+                    <a href="${utils.escapeHtml(commit.url)}" target="_blank" rel="noopener noreferrer" class="font-mono text-primary-400 hover:underline">${commit.sha.slice(0, 7)}</a>
+                    <span class="ml-2">${utils.escapeHtml(commit.message.split('\n')[0])}</span>
+                </td>
+                <td class="py-4">${utils.escapeHtml(commit.author)}</td>
+                <td class="py-4 text-sm text-gray-400">${commit.date ? new Date(commit.date).toLocaleString() : ''}</td>
+                <td class="py-4">
+                    ${index === 0 ? '<span class="text-sm text-gray-400">Current</span>' : !utils.can('history:restore') ? '' : `
+                    <button type="button" data-restore="${commit.sha}" class="text-primary-400 hover:text-primary-300" title="Restore this version">
+                        <i class="fas fa-undo"></i>
+                    </button>`}
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    async compareSelected() {
+        const from = this.table.querySelector('input[name="history-from"]:checked')?.value;
+        const to = this.table.querySelector('input[name="history-to"]:checked')?.value;
+        if (!from || !to || from === to) {
+            this.setStatus('Select two different versions to compare.');
+            return;
+        }
+
+        const path = this.currentPath();
+        this.compareButton.disabled = true;
+        try {
+            const [before, after] = await Promise.all([
+                window.githubService.getFileAtCommit(path, from),
+                window.githubService.getFileAtCommit(path, to)
+            ]);
+            this.renderDiff(RecordDiff.diff(after, before), from, to);
+        } catch (error) {
+            console.error('Failed to compare versions:', error);
+            this.setStatus(`Could not compare versions: ${error.message}`);
+        } finally {
+            this.compareButton.disabled = false;
+        }
+    }
+
+    formatValue(value) {
+        if (value === undefined) return '<em class="text-gray-500">none</em>';
+        const text = typeof value === 'string' ? value : JSON.stringify(value);
+        return utils.escapeHtml(text.length > 120 ? `${text.slice(0, 117)}...` : text);
+    }
+
+    // RecordDiff compares "local" (the newer version) against "remote" (the older one)
+    renderDiff(entries, from, to) {
+        const changes = entries.filter(entry => entry.status !== 'unchanged');
+        const badges = {
+            'local-only': ['Added', 'bg-green-500/20 text-green-400'],
+            'remote-only': ['Removed', 'bg-red-500/20 text-red-400'],
+            'modified': ['Changed', 'bg-yellow-500/20 text-yellow-400']
+        };
+
+        const header = `<h4 class="text-lg font-semibold mb-4">Changes from <span class="font-mono">${from.slice(0, 7)}</span> to <span class="font-mono">${to.slice(0, 7)}</span></h4>`;
+        const body = changes.length === 0
+            ? '<p class="text-gray-400">These versions have the same content.</p>'
+            : changes.map(entry => {
+                const [label, classes] = badges[entry.status];
+                const record = entry.local || entry.remote;
+                const fields = entry.status === 'modified'
+                    ? `<ul class="mt-2 space-y-1 text-sm">${entry.fields.map(field => `
+                        <li><code class="text-primary-400">${utils.escapeHtml(field)}</code>:
+                            <span class="text-red-400 line-through">${this.formatValue(entry.remote?.[field])}</span>
+                            &rarr; <span class="text-green-400">${this.formatValue(entry.local?.[field])}</span>
+                        </li>`).join('')}
+                    </ul>`
+                    : '';
+                return `
+                    <div class="p-4 bg-white/5 rounded-lg">
+                        <div class="flex items-center gap-2">
+                            <span class="px-2 py-1 rounded-full text-xs ${classes}">${label}</span>
+                            <span class="font-medium">${utils.escapeHtml(RecordDiff.label(record, entry.id))}</span>
+                        </div>
+                        ${fields}
+                    </div>
+                `;
+            }).join('');
+
+        this.diffPanel.innerHTML = `${header}<div class="space-y-3">${body}</div>`;
+        this.diffPanel.classList.remove('hidden');
+    }
+
+    async restoreVersion(sha) {
+        const path = this.currentPath();
+        if (!window.githubService.isWritable()) {
+            alert('A GitHub token is required to restore a version.');
+            return;
+        }
+        if (!utils.requirePermission('history:restore', 'restoring older versions')) return;
+        if (!confirm(`Restore ${path} to version ${sha.slice(0, 7)}? This creates a new commit.`)) return;
+
+        try {
+            const content = await window.githubService.restoreFileVersion(path, sha);
+            window.dashboard.applyResolvedContent(path, content);
+            window.dashboard.showSuccessMessage(`${path} restored to ${sha.slice(0, 7)}.`);
+            await this.loadHistory();
+        } catch (error) {
+            console.error('Failed to restore version:', error);
+            alert(`Could not restore this version: ${error.message}`);
+        }
+    }
+}
@@ -0,0 +1,84 @@
+/**
+ * IndexedDB Key-Value Store
+ *
+ * Small promise wrapper around a single IndexedDB object store, shared by the
+ * storage adapters and anything else that needs to persist more than
+ * localStorage comfortably holds.
+ */
+
+class IdbStore {
+    constructor(dbName, storeName = 'entries') {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.dbPromise = null;
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (this.dbPromise) {
+            return this.dbPromise;
+        }
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            if (!IdbStore.isSupported()) {
+                reject(new Error('IndexedDB is not available in this browser'));
+                return;
+            }
+
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    db.createObjectStore(this.storeName);
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        // Allow a later call to retry if opening failed
+        this.dbPromise.catch(() => {
+            this.dbPromise = null;
+        });
+
+        return this.dbPromise;
+    }
+
+    async run(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    async get(key) {
+        const value = await this.run('readonly', store => store.get(key));
+        return value === undefined ? null : value;
+    }
+
+    async set(key, value) {
+        await this.run('readwrite', store => store.put(value, key));
+        return true;
+    }
+
+    async delete(key) {
+        await this.run('readwrite', store => store.delete(key));
+        return true;
+    }
+
+    async keys() {
+        return this.run('readonly', store => store.getAllKeys());
+    }
+
+    async clear() {
+        await this.run('readwrite', store => store.clear());
+        return true;
+    }
+}
@@ -30,6 +30,30 @@ const utils = {
             cancelAnimationFrame(i);
         }
     },
+    // Permission of the signed-in user's role, see AccessControl
+    can: (permission) => Boolean(window.authManager?.can(permission)),
+    requirePermission: (permission, action) => {
+        if (utils.can(permission)) return true;
+        alert(`Your role does not allow ${action}.`);
+        return false;
+    },
+    escapeHtml: (value) => {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    },
+    // e.g. "3d 4h", "5h 12m" or "7m"
+    formatDuration: (ms) => {
+        const minutes = Math.max(0, Math.floor(ms / 60000));
+        const days = Math.floor(minutes / 1440);
+        const hours = Math.floor((minutes % 1440) / 60);
+        if (days > 0) return `${days}d ${hours}h`;
+        if (hours > 0) return `${hours}h ${minutes % 60}m`;
+        return `${minutes}m`;
+    },
     removeEventListeners: (element, events = []) => {
         events.forEach(event => {
             element.replaceWith(element.cloneNode(true));
@@ -210,6 +234,8 @@ class ProjectManager {
         this.projectsTable = document.getElementById('projects-table');
         this.projectsGrid = document.getElementById('projects-grid');
         this.addProjectBtn = document.getElementById('add-project-btn');
+        this.importProjectsBtn = document.getElementById('import-projects-btn');
+        this.importer = new ProjectImporter(this);
         this.init();
     }
 
@@ -220,21 +246,24 @@ class ProjectManager {
 
     async loadProjects() {
         try {
-            const data = await window.githubService.getFileContent('data/projects.json');
+            const data = await window.githubService.getFileContent(window.githubService.dataPath('projects.json'));
             this.projects = data || [];
             this.renderProjects();
         } catch (error) {
             console.error('Failed to load projects:', error);
-            this.projects = JSON.parse(localStorage.getItem('projects')) || [];
+            this.projects = DataSchemas.check('projects.json', JSON.parse(localStorage.getItem('projects')) || []).content;
             this.renderProjects();
         }
     }
 
     setupEventListeners() {
         this.addProjectBtn.addEventListener('click', () => this.showAddProjectModal());
+        this.importProjectsBtn?.addEventListener('click', () => this.importer.show());
+        window.addEventListener('portfolio-access-changed', () => this.renderProjects());
     }
 
     showAddProjectModal(project = null) {
+        if (!utils.requirePermission('projects:write', 'editing projects')) return;
         const modal = document.createElement('div');
         modal.className = 'fixed inset-0 bg-black/50 flex items-center justify-center z-50';
         modal.innerHTML = `
@@ -248,14 +277,8 @@ class ProjectManager {
                     <div>
                         <label class="block text-sm font-medium mb-1">Category</label>
                         <select name="category" class="w-full p-2 bg-white/10 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 text-white">
-                            <option value="web" ${project?.category === 'web' ? 'selected' : ''}>Web Development</option>
-                            <option value="data" ${project?.category === 'data' ? 'selected' : ''}>Data Science</option>
-                            <option value="ml" ${project?.category === 'ml' ? 'selected' : ''}>Machine Learning</option>
-                            <option value="viz" ${project?.category === 'viz' ? 'selected' : ''}>Data Visualization</option>
-                            <option value="cleaning" ${project?.category === 'cleaning' ? 'selected' : ''}>Data Cleaning</option>
-                            <option value="sql" ${project?.category === 'sql' ? 'selected' : ''}>SQL & Database</option>
-                            <option value="api" ${project?.category === 'api' ? 'selected' : ''}>API Development</option>
-                            <option value="automation" ${project?.category === 'automation' ? 'selected' : ''}>Automation</option>
+                            ${Object.entries(ProjectManager.CATEGORIES).map(([value, label]) => `
+                            <option value="${value}" ${project?.category === value ? 'selected' : ''}>${label}</option>`).join('')}
                         </select>
                     </div>
                     <div>
@@ -280,7 +303,7 @@ class ProjectManager {
                             <span id="image-filename" class="text-sm text-gray-400">${project?.image ? 'Current image selected' : 'No image selected'}</span>
                         </div>
                         <div id="image-preview" class="mt-2 ${project?.image ? '' : 'hidden'}">
-                            <img src="${project?.image || ''}" alt="Preview" class="w-full h-32 object-cover rounded-lg">
+                            <img src="${project?.image ? window.githubService.resolveAssetUrl(project.image) : ''}" alt="Preview" class="w-full h-32 object-cover rounded-lg">
                         </div>
                     </div>
                     <div>
@@ -303,18 +326,14 @@ class ProjectManager {
         imageInput.addEventListener('change', (e) => {
             const file = e.target.files[0];
             if (file) {
-                const reader = new FileReader();
-                reader.onload = (e) => {
-                    imagePreview.innerHTML = `<img src="${e.target.result}" alt="Preview" class="w-full h-32 object-cover rounded-lg">`;
-                    imagePreview.classList.remove('hidden');
-                    imageFilename.textContent = file.name;
-                };
-                reader.readAsDataURL(file);
+                imagePreview.innerHTML = `<img src="${URL.createObjectURL(file)}" alt="Preview" class="w-full h-32 object-cover rounded-lg">`;
+                imagePreview.classList.remove('hidden');
+                imageFilename.textContent = file.name;
             }
         });
 
         const form = modal.querySelector('form');
-        form.addEventListener('submit', (e) => {
+        form.addEventListener('submit', async (e) => {
             e.preventDefault();
             const formData = new FormData(form);
             const projectData = {
@@ -327,18 +346,24 @@ class ProjectManager {
 
             const imageFile = formData.get('imageFile');
             if (imageFile && imageFile.size > 0) {
-                const reader = new FileReader();
-                reader.onload = (e) => {
-                    projectData.image = e.target.result;
-                    this.saveProject(project, projectData);
-                    modal.remove();
-                };
-                reader.readAsDataURL(imageFile);
+                const submitButton = form.querySelector('button[type="submit"]');
+                submitButton.disabled = true;
+                submitButton.innerHTML = '<i class="fas fa-spinner fa-spin mr-2"></i>Uploading...';
+                try {
+                    projectData.image = await window.githubService.uploadAsset(imageFile, 'projects');
+                } catch (error) {
+                    console.error('Failed to upload project image:', error);
+                    alert(`Could not upload the image: ${error.message}`);
+                    submitButton.disabled = false;
+                    submitButton.textContent = 'Save';
+                    return;
+                }
             } else {
                 projectData.image = project?.image || '';
-                this.saveProject(project, projectData);
-                modal.remove();
             }
+
+            modal.remove();
+            await this.saveProject(project, projectData);
         });
     }
 
@@ -360,30 +385,54 @@ class ProjectManager {
         this.renderProjects();
     }
 
+    async addProjects(projects) {
+        this.projects.push(...projects);
+        await this.saveProjects();
+        this.renderProjects();
+    }
+
+    async replaceProjects(projects) {
+        this.projects = projects;
+        await this.saveProjects();
+        this.renderProjects();
+    }
+
     async updateProject(id, projectData) {
         const index = this.projects.findIndex(p => p.id === id);
         if (index !== -1) {
+            const previousImage = this.projects[index].image;
             this.projects[index] = { ...this.projects[index], ...projectData };
             await this.saveProjects();
             this.renderProjects();
+            if (previousImage !== this.projects[index].image) {
+                await window.dashboard.pruneAssets(previousImage);
+            }
         }
     }
 
     async deleteProject(id) {
+        if (!utils.requirePermission('projects:delete', 'deleting projects')) return;
+        const removed = this.projects.find(p => p.id === id);
         this.projects = this.projects.filter(p => p.id !== id);
         await this.saveProjects();
         this.renderProjects();
+        await window.dashboard.pruneAssets(removed?.image);
     }
 
     async saveProjects() {
         try {
-            await window.githubService.updateFile('data/projects.json', this.projects);
+            await window.dashboard.saveFile(window.githubService.dataPath('projects.json'), this.projects);
         } catch (error) {
             console.error('Failed to save projects to GitHub:', error);
             localStorage.setItem('projects', JSON.stringify(this.projects));
         }
     }
 
+    // Add the current project list to a multi-file save
+    stageProjects(changeset) {
+        return changeset.stage(window.githubService.dataPath('projects.json'), this.projects);
+    }
+
     renderProjects() {
         if (!this.projectsGrid || !this.projectsTable) {
             console.error('Projects containers not found');
@@ -394,7 +443,7 @@ class ProjectManager {
         this.projectsGrid.innerHTML = this.projects.map(project => `
             <div class="project-card glass-effect rounded-lg overflow-hidden transform hover:scale-105 transition duration-300 w-[85vw] sm:w-full mx-auto">
                 <div class="relative w-full h-56">
-                    <img src="${project.image || 'https://via.placeholder.com/800x450'}" 
+                    <img src="${window.githubService.resolveAssetUrl(project.image) || 'https://via.placeholder.com/800x450'}" 
                         alt="${project.title}" 
                         class="absolute inset-0 w-full h-full object-cover object-center"
                         loading="lazy"
@@ -443,14 +492,16 @@ class ProjectManager {
                             </span>
                         </td>
                         <td class="py-4">
+                            ${utils.can('projects:write') ? `
                             <button type="button" onclick='projectManager.showAddProjectModal(${JSON.stringify(safeProject).replace(/"/g, '&quot;')})' 
                                 class="text-primary-400 hover:text-primary-300 mr-2">
                                 <i class="fas fa-edit"></i>
-                            </button>
+                            </button>` : ''}
+                            ${utils.can('projects:delete') ? `
                             <button type="button" onclick="projectManager.deleteProject(${project.id})" 
                                 class="text-red-400 hover:text-red-300">
                                 <i class="fas fa-trash"></i>
-                            </button>
+                            </button>` : ''}
                         </td>
                     </tr>
                 `;
@@ -468,12 +519,24 @@ class ProjectManager {
     }
 }
 
+ProjectManager.CATEGORIES = {
+    web: 'Web Development',
+    data: 'Data Science',
+    ml: 'Machine Learning',
+    viz: 'Data Visualization',
+    cleaning: 'Data Cleaning',
+    sql: 'SQL & Database',
+    api: 'API Development',
+    automation: 'Automation'
+};
+
 // Skills Management
 class SkillsManager {
     constructor() {
         this.skills = [];
         this.skillsTable = document.getElementById('skills-table');
         this.addSkillBtn = document.getElementById('add-skill-btn');
+        this.suggestions = new SkillSuggestions(this);
         this.init();
     }
 
@@ -484,33 +547,23 @@ class SkillsManager {
 
     async loadSkills() {
         try {
-            const data = await window.githubService.getFileContent('data/skills.json');
+            const data = await window.githubService.getFileContent(window.githubService.dataPath('skills.json'));
             this.skills = data || [];
-            if (this.skills.length === 0) {
-                this.skills = [
-                    { id: 1, name: 'Python', category: 'programming-languages', proficiency: 80 },
-                    { id: 2, name: 'JavaScript', category: 'programming-languages', proficiency: 75 },
-                    { id: 3, name: 'SQL', category: 'programming-languages', proficiency: 70 },
-                    { id: 4, name: 'Pandas', category: 'data-science-tools', proficiency: 85 },
-                    { id: 5, name: 'NumPy', category: 'data-science-tools', proficiency: 80 },
-                    { id: 6, name: 'Machine Learning', category: 'data-science-tools', proficiency: 75 },
-                    { id: 7, name: 'HTML', category: 'web-development', proficiency: 90 },
-                    { id: 8, name: 'Tailwind CSS', category: 'web-development', proficiency: 85 },
-                    { id: 9, name: 'Matplotlib', category: 'data-visualization', proficiency: 80 },
-                    { id: 10, name: 'Seaborn', category: 'data-visualization', proficiency: 75 }
-                ];
-                await this.saveSkills();
-            }
             this.renderSkills();
+            // Nothing to show yet, so start from what the repositories say
+            if (this.skills.length === 0 && window.githubService.isWritable() && utils.can('skills:write')) {
+                this.suggestions.load();
+            }
         } catch (error) {
             console.error('Failed to load skills:', error);
-            this.skills = JSON.parse(localStorage.getItem('skills')) || [];
+            this.skills = DataSchemas.check('skills.json', JSON.parse(localStorage.getItem('skills')) || []).content;
             this.renderSkills();
         }
     }
 
     setupEventListeners() {
         this.addSkillBtn.addEventListener('click', () => this.showAddSkillModal());
+        window.addEventListener('portfolio-access-changed', () => this.renderSkills());
     }
 
     renderSkills() {
@@ -547,14 +600,16 @@ class SkillsManager {
                         <span class="text-sm text-gray-400">${skill.proficiency}%</span>
                     </td>
                     <td class="py-4">
+                        ${utils.can('skills:write') ? `
                         <button type="button" onclick="skillsManager.showAddSkillModal(${JSON.stringify(safeSkill).replace(/"/g, '&quot;')})" 
                             class="text-primary-400 hover:text-primary-300 mr-2">
                             <i class="fas fa-edit"></i>
-                        </button>
+                        </button>` : ''}
+                        ${utils.can('skills:delete') ? `
                         <button type="button" onclick="skillsManager.deleteSkill(${skill.id})" 
                             class="text-red-400 hover:text-red-300">
                             <i class="fas fa-trash"></i>
-                        </button>
+                        </button>` : ''}
                     </td>
                 </tr>
             `;
@@ -585,6 +640,7 @@ class SkillsManager {
     }
 
     showAddSkillModal(skill = null) {
+        if (!utils.requirePermission('skills:write', 'editing skills')) return;
         const modal = document.createElement('div');
         modal.className = 'fixed inset-0 bg-black/50 flex items-center justify-center z-50';
         modal.innerHTML = `
@@ -598,12 +654,8 @@ class SkillsManager {
                     <div>
                         <label class="block text-sm font-medium mb-1">Category</label>
                         <select name="category" class="w-full p-2 bg-white/10 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 text-white appearance-none">
-                            <option value="programming-languages" ${skill?.category === 'programming-languages' ? 'selected' : ''}>Programming Languages</option>
-                            <option value="data-science-tools" ${skill?.category === 'data-science-tools' ? 'selected' : ''}>Data Science Tools</option>
-                            <option value="web-development" ${skill?.category === 'web-development' ? 'selected' : ''}>Web Development</option>
-                            <option value="data-visualization" ${skill?.category === 'data-visualization' ? 'selected' : ''}>Data Visualization</option>
-                            <option value="data-cleaning" ${skill?.category === 'data-cleaning' ? 'selected' : ''}>Data Cleaning</option>
-                            <option value="sql-database" ${skill?.category === 'sql-database' ? 'selected' : ''}>SQL & Database</option>
+                            ${Object.entries(SkillsManager.CATEGORIES).map(([value, label]) => `
+                            <option value="${value}" ${skill?.category === value ? 'selected' : ''}>${label}</option>`).join('')}
                         </select>
                         <div class="pointer-events-none absolute inset-y-0 right-0 flex items-center px-2 text-white">
                             <svg class="fill-current h-4 w-4" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20">
@@ -633,6 +685,7 @@ class SkillsManager {
             e.preventDefault();
             const formData = new FormData(form);
             const skillData = Object.fromEntries(formData.entries());
+            skillData.proficiency = Number(skillData.proficiency);
 
             if (skill) {
                 this.updateSkill(skill.id, skillData);
@@ -653,6 +706,14 @@ class SkillsManager {
         this.renderSkills();
     }
 
+    async addSkills(skills) {
+        skills.forEach((skillData, index) => {
+            this.skills.push({ id: Date.now() + index, ...skillData });
+        });
+        await this.saveSkills();
+        this.renderSkills();
+    }
+
     async updateSkill(id, skillData) {
         const index = this.skills.findIndex(s => s.id === id);
         if (index !== -1) {
@@ -663,6 +724,7 @@ class SkillsManager {
     }
 
     async deleteSkill(id) {
+        if (!utils.requirePermission('skills:delete', 'deleting skills')) return;
         this.skills = this.skills.filter(s => s.id !== id);
         await this.saveSkills();
         this.renderSkills();
@@ -670,13 +732,18 @@ class SkillsManager {
 
     async saveSkills() {
         try {
-            await window.githubService.updateFile('data/skills.json', this.skills);
+            await window.dashboard.saveFile(window.githubService.dataPath('skills.json'), this.skills);
         } catch (error) {
             console.error('Failed to save skills to GitHub:', error);
             localStorage.setItem('skills', JSON.stringify(this.skills));
         }
     }
 
+    // Add the current skill list to a multi-file save
+    stageSkills(changeset) {
+        return changeset.stage(window.githubService.dataPath('skills.json'), this.skills);
+    }
+
     cleanup() {
         document.querySelectorAll('#skills-table button').forEach(button => {
             utils.removeEventListeners(button, ['click']);
@@ -684,6 +751,15 @@ class SkillsManager {
     }
 }
 
+SkillsManager.CATEGORIES = {
+    'programming-languages': 'Programming Languages',
+    'data-science-tools': 'Data Science Tools',
+    'web-development': 'Web Development',
+    'data-visualization': 'Data Visualization',
+    'data-cleaning': 'Data Cleaning',
+    'sql-database': 'SQL & Database'
+};
+
 // Contact Form
 class ContactForm {
     constructor() {
@@ -772,6 +848,13 @@ class Dashboard {
         this.settingsForm = document.getElementById('settings-form');
         this.profileImage = document.getElementById('profile-image');
         this.profilePreview = document.getElementById('profile-preview');
+        this.storageForm = document.getElementById('storage-form');
+        this.saveAllButton = document.getElementById('save-all-btn');
+        this.draftControls = document.getElementById('draft-controls');
+        this.rateLimitMeter = document.getElementById('rate-limit-meter');
+        this.outboxStatus = document.getElementById('outbox-status');
+        this.tokenHealth = document.getElementById('token-health');
+        this.dataIssues = document.getElementById('data-issues');
         this.notificationSettings = {
             email_notifications: true,
             project_updates: true,
@@ -784,6 +867,13 @@ class Dashboard {
         this.setupMenu();
         this.setupTabs();
         this.setupForms();
+        this.setupStorageSettings();
+        this.setupSaveAll();
+        this.setupDraftControls();
+        this.setupRateLimitMeter();
+        this.setupOutboxStatus();
+        this.setupTokenHealth();
+        this.setupDataIssues();
         this.setupProfileImage();
         this.loadSavedData();
         this.applySettings();
@@ -832,13 +922,19 @@ class Dashboard {
         if (this.profileForm) {
             this.profileForm.addEventListener('submit', async (e) => {
                 e.preventDefault();
-                const formData = new FormData(this.profileForm);
-                const profileData = Object.fromEntries(formData.entries());
+                const profileData = this.collectProfileData();
                 
                 try {
                     // Try to save to GitHub first
-                    if (window.githubService && window.githubService.token) {
-                        await window.githubService.updateFile('data/profile.json', profileData);
+                    if (window.githubService && window.githubService.isWritable()) {
+                        const profilePath = window.githubService.dataPath('profile.json');
+                        const previousImage = window.githubService.getLoadedVersion(profilePath)?.content?.profileImage;
+                        if (!(await this.saveFile(profilePath, profileData))) {
+                            throw new Error('Profile was not saved to storage');
+                        }
+                        if (previousImage !== profileData.profileImage) {
+                            await this.pruneAssets(previousImage);
+                        }
                     } else {
                         // Fallback to localStorage
                         localStorage.setItem('profile', JSON.stringify(profileData));
@@ -862,30 +958,18 @@ class Dashboard {
         if (this.settingsForm) {
             this.settingsForm.addEventListener('submit', async (e) => {
                 e.preventDefault();
-                const formData = new FormData(this.settingsForm);
-                const formEntries = Object.fromEntries(formData.entries());
-                
-                // Structure the settings data
-                const settingsData = {
-                    theme: formEntries.theme,
-                    notifications: {
-                        email_notifications: formEntries.email_notifications === 'on',
-                        project_updates: formEntries.project_updates === 'on',
-                        show_email: formEntries.show_email === 'on'
-                    }
-                };
+                const settingsData = this.collectSettingsData();
                 
                 this.notificationSettings = settingsData.notifications;
 
                 try {
                     // Try to save to GitHub first
-                    if (window.githubService && window.githubService.token) {
-                        await window.githubService.updateFile('data/settings.json', settingsData);
-                    } else {
-                        // Fallback to localStorage
-                        localStorage.setItem('settings', JSON.stringify(formEntries));
-                        localStorage.setItem('notificationSettings', JSON.stringify(this.notificationSettings));
+                    if (window.githubService && window.githubService.isWritable()) {
+                        if (!(await this.saveFile(window.githubService.dataPath('settings.json'), settingsData))) {
+                            throw new Error('Settings were not saved to storage');
+                        }
                     }
+                    this.storeSettingsLocally(settingsData);
                     
                     this.applySettings();
                     this.showSuccessMessage('Settings saved successfully!');
@@ -893,8 +977,7 @@ class Dashboard {
                 } catch (error) {
                     console.error('Failed to save settings data:', error);
                     // Fallback to localStorage
-                    localStorage.setItem('settings', JSON.stringify(formEntries));
-                    localStorage.setItem('notificationSettings', JSON.stringify(this.notificationSettings));
+                    this.storeSettingsLocally(settingsData);
                     this.showNotification('Error', { 
                         body: 'Settings saved locally only. GitHub storage failed.', 
                         type: 'warning'
@@ -921,37 +1004,730 @@ class Dashboard {
                     
                     // Save theme selection to storage
                     const settingsData = {
+                        ...(this.loadLocalSettings() || DataSchemas.empty('settings.json')),
                         theme: radio.value,
                         notifications: this.notificationSettings
                     };
                     
                     try {
-                        if (window.githubService && window.githubService.token) {
-                            await window.githubService.updateFile('data/settings.json', settingsData);
-                        } else {
-                            localStorage.setItem('settings', JSON.stringify({
-                                theme: radio.value,
-                                email_notifications: this.settingsForm.querySelector('input[name="email_notifications"]').checked,
-                                project_updates: this.settingsForm.querySelector('input[name="project_updates"]').checked,
-                                show_email: this.settingsForm.querySelector('input[name="show_email"]').checked
-                            }));
+                        if (window.githubService && window.githubService.isWritable()) {
+                            await this.saveFile(window.githubService.dataPath('settings.json'), settingsData);
                         }
                     } catch (error) {
                         console.error('Failed to save theme setting:', error);
-                        localStorage.setItem('settings', JSON.stringify({
-                            theme: radio.value,
-                            email_notifications: this.settingsForm.querySelector('input[name="email_notifications"]').checked,
-                            project_updates: this.settingsForm.querySelector('input[name="project_updates"]').checked,
-                            show_email: this.settingsForm.querySelector('input[name="show_email"]').checked
-                        }));
                     }
+                    this.storeSettingsLocally(settingsData);
                 });
             });
         }
     }
 
+    collectProfileData() {
+        return Object.fromEntries(new FormData(this.profileForm).entries());
+    }
+
+    // The browser copy has the same shape as settings.json
+    storeSettingsLocally(settingsData) {
+        localStorage.setItem('settings', JSON.stringify(settingsData));
+        if (settingsData.notifications) {
+            localStorage.setItem('notificationSettings', JSON.stringify(settingsData.notifications));
+        }
+    }
+
+    // Older versions stored flat { theme, email_notifications, ... } settings, the schema migrates them
+    loadLocalSettings() {
+        try {
+            const stored = JSON.parse(localStorage.getItem('settings') || 'null');
+            return stored ? DataSchemas.check('settings.json', stored).content : null;
+        } catch (error) {
+            console.warn('Ignoring invalid settings in localStorage:', error);
+            return null;
+        }
+    }
+
+    collectSettingsData() {
+        const formEntries = Object.fromEntries(new FormData(this.settingsForm).entries());
+
+        // Structure the settings data
+        return {
+            theme: formEntries.theme,
+            notifications: {
+                email_notifications: formEntries.email_notifications === 'on',
+                project_updates: formEntries.project_updates === 'on',
+                show_email: formEntries.show_email === 'on'
+            },
+            session: {
+                idle_minutes: Number(formEntries.idle_minutes),
+                absolute_hours: Number(formEntries.absolute_hours),
+                remember_days: Number(formEntries.remember_days)
+            }
+        };
+    }
+
+    setupSaveAll() {
+        if (!this.saveAllButton) return;
+
+        this.saveAllButton.addEventListener('click', async () => {
+            const originalText = this.saveAllButton.innerHTML;
+            this.saveAllButton.disabled = true;
+            this.saveAllButton.innerHTML = '<i class="fas fa-spinner fa-spin mr-2"></i>Saving...';
+            try {
+                await this.saveAllChanges();
+            } finally {
+                this.saveAllButton.disabled = false;
+                this.saveAllButton.innerHTML = originalText;
+            }
+        });
+    }
+
+    // Save profile, settings, projects and skills together as one commit
+    async saveAllChanges() {
+        const profileData = this.collectProfileData();
+        const settingsData = this.collectSettingsData();
+        this.notificationSettings = settingsData.notifications;
+
+        if (!(window.githubService && window.githubService.isWritable())) {
+            // Fallback to localStorage
+            localStorage.setItem('profile', JSON.stringify(profileData));
+            this.storeSettingsLocally(settingsData);
+            localStorage.setItem('projects', JSON.stringify(window.projectManager?.projects || []));
+            localStorage.setItem('skills', JSON.stringify(window.skillsManager?.skills || []));
+            this.showNotification('Warning', {
+                body: 'Changes saved locally only. Storage provider is not writable.',
+                type: 'warning'
+            });
+            return false;
+        }
+
+        let changeset;
+        try {
+            // Only the files the current role may change
+            changeset = window.githubService.createChangeset();
+            if (utils.can('profile:write')) {
+                changeset.stage(window.githubService.dataPath('profile.json'), profileData);
+            }
+            if (utils.can('settings:write')) {
+                changeset.stage(window.githubService.dataPath('settings.json'), settingsData);
+            }
+            if (utils.can('projects:write')) {
+                window.projectManager?.stageProjects(changeset);
+            }
+            if (utils.can('skills:write')) {
+                window.skillsManager?.stageSkills(changeset);
+            }
+        } catch (error) {
+            if (!(error instanceof DataValidationError)) throw error;
+            alert(`Nothing was saved. ${error.message}`);
+            return false;
+        }
+
+        let committed;
+        try {
+            committed = await changeset.commit('Update portfolio content');
+        } catch (error) {
+            if (!(error instanceof GitHubConflictError)) throw error;
+            // Resolve the conflicting file, then try the whole save again
+            if (!(await this.resolveConflict(error))) return false;
+            return this.saveAllChanges();
+        }
+        if (!committed) {
+            this.showNotification('Error', {
+                body: 'Saving failed. None of the changes were committed.',
+                type: 'warning'
+            });
+            return false;
+        }
+
+        this.storeSettingsLocally(settingsData);
+        this.updateHeroSection(profileData);
+        this.applySettings();
+        this.showSuccessMessage('All changes saved in a single commit!');
+        return true;
+    }
+
+    // Write a file, letting the user resolve conflicts with edits made elsewhere
+    async saveFile(path, content) {
+        try {
+            return await window.githubService.updateFile(path, content);
+        } catch (error) {
+            if (error instanceof DataValidationError || error instanceof AccessDeniedError) {
+                alert(`Not saved. ${error.message}`);
+                return false;
+            }
+            if (!(error instanceof GitHubConflictError)) throw error;
+            const resolved = await this.resolveConflict(error);
+            if (!resolved) return false;
+            return this.saveFile(path, resolved.content);
+        }
+    }
+
+    // Ask the user how to merge a conflict and apply the result locally
+    async resolveConflict(conflict) {
+        const content = await this.showConflictDialog(conflict);
+        if (content === null) {
+            this.showNotification('Save Cancelled', {
+                body: `${conflict.path} was not saved because it changed elsewhere.`,
+                type: 'warning'
+            });
+            return null;
+        }
+
+        window.githubService.acceptRemoteVersion(conflict);
+        this.applyResolvedContent(conflict.path, content);
+        return { content };
+    }
+
+    applyResolvedContent(path, content) {
+        if (path.endsWith('projects.json') && window.projectManager) {
+            window.projectManager.projects = content;
+            window.projectManager.renderProjects();
+        } else if (path.endsWith('skills.json') && window.skillsManager) {
+            window.skillsManager.skills = content;
+            window.skillsManager.renderSkills();
+        } else if (path.endsWith('profile.json')) {
+            this.fillProfileForm(content);
+            this.updateHeroSection(content);
+        } else if (path.endsWith('settings.json')) {
+            this.fillSettingsForm(content);
+        }
+    }
+
+    fillProfileForm(profileData) {
+        Object.entries(profileData || {}).forEach(([key, value]) => {
+            const input = document.querySelector(`#profile-form [name="${key}"]`);
+            if (input) {
+                if (input.type === 'checkbox') {
+                    input.checked = value;
+                } else {
+                    input.value = value;
+                }
+            }
+        });
+    }
+
+    fillSettingsForm(settingsData) {
+        if (!settingsData) return;
+        this.notificationSettings = settingsData.notifications || this.notificationSettings;
+
+        const themeInput = document.querySelector(`#settings-form input[name="theme"][value="${settingsData.theme}"]`);
+        if (themeInput) {
+            themeInput.checked = true;
+        }
+        Object.entries(this.notificationSettings).forEach(([key, value]) => {
+            const input = document.querySelector(`#settings-form [name="${key}"]`);
+            if (input && input.type === 'checkbox') {
+                input.checked = value;
+            }
+        });
+        Object.entries(settingsData.session || {}).forEach(([key, value]) => {
+            const input = document.querySelector(`#settings-form [name="${key}"]`);
+            if (input) {
+                input.value = value;
+            }
+        });
+    }
+
+    // Resolves with the merged file content, or null if the user cancels
+    showConflictDialog(conflict, labels = {}) {
+        const text = {
+            title: 'Resolve Conflicting Changes',
+            intro: 'was changed in another tab or by a collaborator since you loaded it. Choose which version to keep for each record.',
+            mine: 'Mine',
+            theirs: 'Theirs',
+            onlyMine: 'Only in my version',
+            onlyTheirs: 'Only in remote version',
+            ...labels
+        };
+        const isArray = Array.isArray(conflict.localContent);
+        const remoteContent = conflict.remoteContent ?? (isArray ? [] : null);
+        const entries = RecordDiff.diff(conflict.localContent, remoteContent, conflict.baseContent);
+        const changed = entries.filter(entry => entry.status !== 'unchanged');
+
+        const formatValue = (value) => {
+            if (value === undefined) return '<span class="text-gray-500 italic">none</span>';
+            const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+            return utils.escapeHtml(text.length > 60 ? `${text.slice(0, 57)}...` : text);
+        };
+
+        const statusLabels = {
+            'modified': ['Changed on both sides', 'bg-yellow-500/20 text-yellow-400'],
+            'local-only': [text.onlyMine, 'bg-blue-500/20 text-blue-400'],
+            'remote-only': [text.onlyTheirs, 'bg-purple-500/20 text-purple-400']
+        };
+
+        const choiceOptions = (entry) => {
+            const options = entry.status === 'modified'
+                ? [['merge', 'Merge both'], ['local', `Keep ${text.mine.toLowerCase()}`], ['remote', `Keep ${text.theirs.toLowerCase()}`]]
+                : entry.status === 'local-only'
+                    ? [['local', 'Keep it'], ['remote', 'Drop it']]
+                    : [['remote', 'Keep it'], ['local', 'Drop it']];
+            return options.map(([value, label]) => `
+                <option value="${value}" ${value === entry.defaultChoice ? 'selected' : ''}>${label}</option>
+            `).join('');
+        };
+
+        return new Promise(resolve => {
+            const modal = document.createElement('div');
+            modal.className = 'fixed inset-0 bg-black/50 flex items-center justify-center z-50';
+            modal.innerHTML = `
+                <div class="glass-effect p-6 rounded-xl w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+                    <h3 class="text-xl font-bold mb-2">${utils.escapeHtml(text.title)}</h3>
+                    <p class="text-sm text-gray-300 mb-4">
+                        <span class="font-mono">${utils.escapeHtml(conflict.path)}</span> ${utils.escapeHtml(text.intro)}
+                    </p>
+                    <form id="conflict-form" class="space-y-4">
+                        ${changed.length === 0 ? '<p class="text-gray-400">No record-level differences were found.</p>' : ''}
+                        ${changed.map(entry => `
+                            <div class="p-4 rounded-lg bg-white/5 border border-white/10">
+                                <div class="flex justify-between items-center mb-3">
+                                    <span class="font-semibold">${utils.escapeHtml(RecordDiff.label(entry.local || entry.remote, conflict.path))}</span>
+                                    <span class="px-2 py-1 rounded-full text-xs ${statusLabels[entry.status][1]}">${statusLabels[entry.status][0]}</span>
+                                </div>
+                                <table class="w-full text-sm mb-3">
+                                    <thead>
+                                        <tr class="text-left text-gray-400 border-b border-gray-700">
+                                            <th class="pb-2 pr-2">Field</th>
+                                            <th class="pb-2 pr-2">${utils.escapeHtml(text.mine)}</th>
+                                            <th class="pb-2">${utils.escapeHtml(text.theirs)}</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        ${entry.fields.map(field => `
+                                            <tr class="border-b border-gray-700/50">
+                                                <td class="py-1 pr-2 font-mono">${utils.escapeHtml(field)}</td>
+                                                <td class="py-1 pr-2 break-all">${formatValue(entry.local?.[field])}</td>
+                                                <td class="py-1 break-all">${formatValue(entry.remote?.[field])}</td>
+                                            </tr>
+                                        `).join('')}
+                                    </tbody>
+                                </table>
+                                <select name="${utils.escapeHtml(entry.id)}" class="w-full p-2 bg-white/10 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 text-white">
+                                    ${choiceOptions(entry)}
+                                </select>
+                            </div>
+                        `).join('')}
+                        <div class="flex flex-wrap justify-end gap-2 pt-2">
+                            <button type="button" data-action="cancel" class="px-4 py-2 bg-white/10 rounded-lg hover:bg-white/20 transition">Cancel</button>
+                            <button type="button" data-action="local" class="px-4 py-2 bg-white/10 rounded-lg hover:bg-white/20 transition">Keep All ${utils.escapeHtml(text.mine)}</button>
+                            <button type="button" data-action="remote" class="px-4 py-2 bg-white/10 rounded-lg hover:bg-white/20 transition">Keep All ${utils.escapeHtml(text.theirs)}</button>
+                            <button type="submit" class="px-4 py-2 bg-gradient-to-r from-primary-500 to-purple-500 rounded-lg hover:from-primary-600 hover:to-purple-600 transition">Apply</button>
+                        </div>
+                    </form>
+                </div>
+            `;
+            document.body.appendChild(modal);
+
+            const finish = (content) => {
+                modal.remove();
+                resolve(content);
+            };
+
+            modal.querySelector('[data-action="cancel"]').addEventListener('click', () => finish(null));
+            modal.querySelector('[data-action="local"]').addEventListener('click', () => finish(conflict.localContent));
+            modal.querySelector('[data-action="remote"]').addEventListener('click', () => finish(remoteContent));
+
+            const form = modal.querySelector('form');
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const choices = Object.fromEntries(new FormData(form).entries());
+                finish(RecordDiff.resolve(entries, choices, isArray));
+            });
+        });
+    }
+
+    async reloadAllData() {
+        await Promise.all([
+            window.projectManager?.loadProjects(),
+            window.skillsManager?.loadSkills(),
+            this.loadSavedData()
+        ]);
+    }
+
+    setupRateLimitMeter() {
+        if (!this.rateLimitMeter) return;
+
+        window.addEventListener('github-rate-limit', (e) => this.renderRateLimit(e.detail));
+        const current = window.githubService?.getRateLimit();
+        if (current) {
+            this.renderRateLimit(current);
+        }
+    }
+
+    renderRateLimit({ limit, remaining, reset, retryingIn }) {
+        if (!limit) return;
+
+        const share = remaining / limit;
+        const bar = document.getElementById('rate-limit-bar');
+        bar.style.width = `${Math.round(share * 100)}%`;
+        bar.classList.toggle('bg-green-500', share > 0.5);
+        bar.classList.toggle('bg-yellow-500', share <= 0.5 && share > 0.1);
+        bar.classList.toggle('bg-red-500', share <= 0.1);
+
+        const resetTime = new Date(reset).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        document.getElementById('rate-limit-text').textContent = retryingIn
+            ? `GitHub rate limit reached, retrying in ${Math.ceil(retryingIn / 1000)}s`
+            : `GitHub API: ${remaining.toLocaleString()} / ${limit.toLocaleString()} requests left, resets at ${resetTime}`;
+        this.rateLimitMeter.classList.remove('hidden');
+    }
+
+    setupOutboxStatus() {
+        if (!this.outboxStatus || !window.githubService) return;
+
+        window.addEventListener('portfolio-outbox', (e) => {
+            const { queued, delivered, conflict } = e.detail;
+            this.renderOutboxStatus(e.detail);
+            if (queued) {
+                this.showSuccessMessage('Saved offline. The change will sync when the connection is back.');
+            }
+            if (delivered) {
+                this.showSuccessMessage('Offline changes synced.');
+            }
+            if (conflict) {
+                this.resolveOutboxConflict(conflict);
+            }
+        });
+
+        const retryButton = document.getElementById('outbox-retry-btn');
+        retryButton.addEventListener('click', async () => {
+            retryButton.disabled = true;
+            await window.githubService.outbox.retryAll();
+            retryButton.disabled = false;
+        });
+
+        document.getElementById('outbox-discard-btn').addEventListener('click', async () => {
+            if (!confirm('Discard the changes that could not be saved? This cannot be undone.')) return;
+            await window.githubService.outbox.discardFailed();
+            await this.reloadAllData();
+        });
+
+        this.renderOutboxStatus(window.githubService.outbox.counts());
+    }
+
+    renderOutboxStatus({ pending, failed }) {
+        this.outboxStatus.classList.toggle('hidden', pending === 0 && failed === 0);
+
+        const parts = [];
+        if (pending > 0) parts.push(`${pending} change${pending === 1 ? '' : 's'} waiting to sync`);
+        if (failed > 0) parts.push(`${failed} failed`);
+        document.getElementById('outbox-summary').textContent = parts.join(' · ');
+        document.getElementById('outbox-discard-btn').classList.toggle('hidden', failed === 0);
+    }
+
+    setupTokenHealth() {
+        if (!this.tokenHealth || !window.githubService) return;
+
+        const service = window.githubService;
+        // A null detail means the token changed and has not been checked yet
+        window.addEventListener('github-token-health', (e) => {
+            if (e.detail || !service.token) {
+                this.renderTokenHealth(e.detail);
+            } else {
+                service.validateToken();
+            }
+        });
+
+        const checkButton = document.getElementById('token-health-check-btn');
+        checkButton.addEventListener('click', async () => {
+            checkButton.disabled = true;
+            await service.validateToken();
+            checkButton.disabled = false;
+        });
+
+        // Keep the expiry countdown current
+        setInterval(() => this.renderTokenExpiry(), 60 * 1000);
+
+        if (service.tokenHealth) {
+            this.renderTokenHealth(service.tokenHealth);
+        } else if (service.token) {
+            service.validateToken();
+        }
+    }
+
+    renderTokenHealth(health) {
+        this.tokenHealth.classList.toggle('hidden', !health);
+        if (!health) return;
+
+        const expired = health.expiresAt && new Date(health.expiresAt) <= Date.now();
+        const missingScope = health.scopes && !health.scopes.some(scope => ['repo', 'public_repo'].includes(scope));
+        const problem = !health.valid || expired;
+        const warning = health.canWrite === false || missingScope;
+
+        document.getElementById('token-health-icon').className = problem
+            ? 'fas fa-times-circle text-red-400 mt-1'
+            : warning ? 'fas fa-exclamation-triangle text-yellow-400 mt-1' : 'fas fa-check-circle text-green-400 mt-1';
+        document.getElementById('token-health-summary').textContent = expired
+            ? 'Your GitHub token has expired. Add a new one to keep saving changes.'
+            : health.message;
+
+        const details = [];
+        if (health.username) details.push(`@${health.username}`);
+        if (health.tokenType) details.push(GitHubService.TOKEN_TYPE_LABELS[health.tokenType]);
+        if (health.scopes) {
+            details.push(health.scopes.length > 0 ? `scopes: ${health.scopes.join(', ')}` : 'no scopes');
+        } else if (health.tokenType === 'fine-grained') {
+            details.push('per-repository permissions');
+        }
+        if (missingScope) details.push('needs the repo or public_repo scope');
+        if (health.canWrite !== undefined) details.push(health.canWrite ? 'can write' : 'read-only');
+        if (health.checkedAt) {
+            details.push(`checked ${new Date(health.checkedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`);
+        }
+        document.getElementById('token-health-details').textContent = details.join(' · ');
+
+        this.renderTokenExpiry();
+    }
+
+    renderTokenExpiry() {
+        const health = window.githubService?.tokenHealth;
+        const expiry = document.getElementById('token-health-expiry');
+        if (!expiry) return;
+        if (!health?.expiresAt) {
+            expiry.textContent = health?.tokenType ? 'No expiration' : '';
+            expiry.className = 'text-sm text-gray-400';
+            return;
+        }
+
+        const remaining = new Date(health.expiresAt) - Date.now();
+        expiry.textContent = remaining > 0 ? `Expires in ${utils.formatDuration(remaining)}` : 'Expired';
+        expiry.title = new Date(health.expiresAt).toLocaleString();
+        // Warn a week ahead
+        expiry.className = `text-sm ${remaining <= 0 ? 'text-red-400' : remaining < 7 * 24 * 60 * 60 * 1000 ? 'text-yellow-400' : 'text-gray-400'}`;
+    }
+
+    setupDataIssues() {
+        if (!this.dataIssues || !window.githubService) return;
+
+        window.addEventListener('portfolio-data-issues', () => this.renderDataIssues());
+        document.getElementById('data-issues-list').addEventListener('click', async (e) => {
+            const button = e.target.closest('[data-discard-invalid]');
+            if (!button) return;
+
+            const path = button.dataset.discardInvalid;
+            if (!confirm(`Remove the invalid entries from ${path}? This cannot be undone.`)) return;
+            button.disabled = true;
+            try {
+                if (!(await window.githubService.discardInvalidRecords(path))) {
+                    throw new Error('The file was not saved');
+                }
+                this.showSuccessMessage(`Invalid entries removed from ${path}.`);
+            } catch (error) {
+                console.error('Failed to remove invalid entries:', error);
+                alert(`Could not remove the invalid entries: ${error.message}`);
+                button.disabled = false;
+            }
+        });
+
+        this.renderDataIssues();
+    }
+
+    renderDataIssues() {
+        const service = window.githubService;
+        const files = [...service.dataIssues.entries()];
+        this.dataIssues.classList.toggle('hidden', files.length === 0);
+
+        document.getElementById('data-issues-list').innerHTML = files.map(([path, issues]) => {
+            const isList = DataSchemas.forPath(path)?.list;
+            return `
+                <div class="p-3 bg-white/5 rounded-lg">
+                    <div class="flex flex-wrap items-center justify-between gap-2">
+                        <span class="font-mono text-sm text-primary-400">${utils.escapeHtml(path)}</span>
+                        ${isList && service.isWritable() ? `
+                        <button type="button" data-discard-invalid="${utils.escapeHtml(path)}" class="px-3 py-1 text-sm border border-red-400 text-red-400 rounded-lg hover:bg-red-400/10 transition">
+                            <i class="fas fa-trash mr-2"></i>Remove Invalid Entries
+                        </button>` : ''}
+                    </div>
+                    <p class="text-xs text-gray-400 mt-1">${isList
+                        ? 'These entries are hidden but stay in the file until you remove them.'
+                        : 'These fields were reset to their defaults and are saved that way next time.'}</p>
+                    <ul class="mt-2 text-sm text-gray-300 list-disc list-inside">
+                        ${issues.map(issue => `<li>${utils.escapeHtml(DataSchemas.describeIssue(issue))}</li>`).join('')}
+                    </ul>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // A queued edit collided with a change made elsewhere while offline
+    async resolveOutboxConflict(conflict) {
+        const resolved = await this.resolveConflict(conflict);
+        if (resolved) {
+            await window.githubService.outbox.resolve(conflict.path, resolved.content);
+        }
+    }
+
+    setupDraftControls() {
+        if (!this.draftControls || !window.githubService) return;
+
+        const runAction = async (button, action) => {
+            const originalText = button.innerHTML;
+            button.disabled = true;
+            button.innerHTML = '<i class="fas fa-spinner fa-spin mr-2"></i>Working...';
+            try {
+                await action();
+            } catch (error) {
+                console.error('Draft action failed:', error);
+                alert(error.message);
+            } finally {
+                button.disabled = false;
+                button.innerHTML = originalText;
+                this.renderDraftState();
+            }
+        };
+
+        const startButton = document.getElementById('start-draft-btn');
+        startButton.addEventListener('click', () => runAction(startButton, async () => {
+            const branch = await window.githubService.enableDraftMode();
+            this.showSuccessMessage(`Draft started. Changes are now saved to ${branch}.`);
+        }));
+
+        document.getElementById('publish-draft-btn').addEventListener('click', () => this.showPublishDialog());
+
+        const discardButton = document.getElementById('discard-draft-btn');
+        discardButton.addEventListener('click', () => {
+            if (!confirm('Discard all draft changes? This cannot be undone.')) return;
+            runAction(discardButton, async () => {
+                await window.githubService.discardDraft();
+                await this.reloadAllData();
+                this.showSuccessMessage('Draft discarded. Showing the live content again.');
+            });
+        });
+
+        this.renderDraftState();
+    }
+
+    renderDraftState() {
+        if (!this.draftControls || !window.githubService) return;
+
+        const service = window.githubService;
+        const available = service.supportsDrafts() && service.isWritable();
+        this.draftControls.classList.toggle('hidden', !available);
+        if (!available) return;
+
+        const inDraft = service.isDraftMode();
+        const status = document.getElementById('draft-status');
+        if (inDraft) {
+            status.innerHTML = `Draft mode: saving to <span class="font-mono text-primary-400">${utils.escapeHtml(service.draftBranch)}</span>` +
+                (service.draftPullRequestUrl
+                    ? ` &middot; <a href="${utils.escapeHtml(service.draftPullRequestUrl)}" target="_blank" rel="noopener noreferrer" class="text-primary-400 hover:underline">View pull request</a>`
+                    : '');
+        } else {
+            status.textContent = 'Changes are published to the live site as soon as they are saved.';
+        }
+
+        document.getElementById('start-draft-btn').classList.toggle('hidden', inDraft);
+        document.getElementById('publish-draft-btn').classList.toggle('hidden', !inDraft);
+        document.getElementById('discard-draft-btn').classList.toggle('hidden', !inDraft);
+    }
+
+    showPublishDialog() {
+        const modal = document.createElement('div');
+        modal.className = 'fixed inset-0 bg-black/50 flex items-center justify-center z-50';
+        modal.innerHTML = `
+            <div class="glass-effect p-6 rounded-xl w-full max-w-md">
+                <h3 class="text-xl font-bold mb-4">Publish Changes</h3>
+                <form id="publish-form" class="space-y-4">
+                    <div>
+                        <label class="block text-sm font-medium mb-1">Title</label>
+                        <input type="text" name="title" required class="w-full p-2 bg-white/10 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500" value="Publish portfolio changes">
+                    </div>
+                    <div class="space-y-2 text-sm">
+                        <label class="flex items-start space-x-2">
+                            <input type="radio" name="method" value="pull-request" checked class="form-radio text-primary-500 mt-1">
+                            <span><strong>Open a pull request</strong><br><span class="text-gray-400">Review and merge the draft on GitHub.</span></span>
+                        </label>
+                        <label class="flex items-start space-x-2">
+                            <input type="radio" name="method" value="fast-forward" class="form-radio text-primary-500 mt-1">
+                            <span><strong>Publish directly</strong><br><span class="text-gray-400">Fast-forward the live branch to the draft.</span></span>
+                        </label>
+                    </div>
+                    <p id="publish-error" class="text-sm text-red-400 hidden"></p>
+                    <div class="flex justify-end space-x-2">
+                        <button type="button" class="px-4 py-2 bg-white/10 rounded-lg hover:bg-white/20 transition" onclick="this.closest('.fixed').remove()">Cancel</button>
+                        <button type="submit" class="px-4 py-2 bg-gradient-to-r from-primary-500 to-purple-500 rounded-lg hover:from-primary-600 hover:to-purple-600 transition">Publish</button>
+                    </div>
+                </form>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        const form = modal.querySelector('form');
+        const errorMessage = modal.querySelector('#publish-error');
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const { title, method } = Object.fromEntries(new FormData(form).entries());
+            const submitButton = form.querySelector('button[type="submit"]');
+            submitButton.disabled = true;
+            errorMessage.classList.add('hidden');
+
+            try {
+                const result = await window.githubService.publishDraft({ method, title });
+                modal.remove();
+                if (result.method === 'fast-forward') {
+                    await this.reloadAllData();
+                    this.showSuccessMessage('Draft published to the live site!');
+                } else {
+                    this.showSuccessMessage('Pull request opened for your draft.');
+                    window.open(result.url, '_blank', 'noopener');
+                }
+            } catch (error) {
+                console.error('Failed to publish draft:', error);
+                errorMessage.textContent = error.message;
+                errorMessage.classList.remove('hidden');
+                submitButton.disabled = false;
+            } finally {
+                this.renderDraftState();
+            }
+        });
+    }
+
+    setupStorageSettings() {
+        if (!this.storageForm || !window.githubService) return;
+
+        const providerSelect = this.storageForm.querySelector('[name="storage_provider"]');
+        const restOptions = document.getElementById('storage-rest-options');
+        const { provider, options } = window.githubService.storageConfig;
+
+        providerSelect.innerHTML = StorageAdapters.list().map(adapter => `
+            <option value="${adapter.id}" ${adapter.id === provider ? 'selected' : ''}>${adapter.label}</option>
+        `).join('');
+        this.storageForm.querySelector('[name="rest_base_url"]').value = options.baseUrl || '';
+        this.storageForm.querySelector('[name="rest_auth_token"]').value = options.authToken || '';
+
+        const toggleRestOptions = () => {
+            restOptions.classList.toggle('hidden', providerSelect.value !== 'rest');
+        };
+        toggleRestOptions();
+        providerSelect.addEventListener('change', toggleRestOptions);
+
+        this.storageForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const formEntries = Object.fromEntries(new FormData(this.storageForm).entries());
+            const providerOptions = formEntries.storage_provider === 'rest'
+                ? { baseUrl: formEntries.rest_base_url.trim(), authToken: formEntries.rest_auth_token.trim() || null }
+                : {};
+
+            if (formEntries.storage_provider === 'rest' && !providerOptions.baseUrl) {
+                this.showNotification('Error', { body: 'A base URL is required for REST storage.', type: 'warning' });
+                return;
+            }
+
+            try {
+                window.githubService.setStorageProvider(formEntries.storage_provider, providerOptions);
+            } catch (error) {
+                console.error('Failed to switch storage provider:', error);
+                alert(`Storage provider not changed. ${error.message}`);
+                return;
+            }
+
+            // Reload everything from the newly selected provider
+            await this.reloadAllData();
+            this.renderDraftState();
+            this.showSuccessMessage('Storage provider updated successfully!');
+        });
+    }
+
     applySettings() {
-        const settings = JSON.parse(localStorage.getItem('settings') || '{}');
+        const settings = this.loadLocalSettings() || DataSchemas.check('settings.json', {}).content;
 
         if (settings.theme === 'light') {
             document.documentElement.classList.remove('dark');
@@ -963,20 +1739,11 @@ class Dashboard {
 
         const emailSection = document.querySelector('#contact .space-y-1:first-child');
         if (emailSection) {
-            emailSection.style.display = settings.show_email ? 'block' : 'none';
+            emailSection.style.display = settings.notifications?.show_email === false ? 'none' : 'block';
         }
 
-        if (this.settingsForm) {
-            Object.entries(settings).forEach(([key, value]) => {
-                const input = this.settingsForm.querySelector(`[name="${key}"]`);
-                if (input) {
-                    if (input.type === 'checkbox') {
-                        input.checked = value;
-                    } else if (input.type === 'radio') {
-                        input.checked = input.value === value;
-                    }
-                }
-            });
+        if (this.settingsForm && settings.theme) {
+            this.fillSettingsForm(settings);
         }
 
         const glassElements = document.querySelectorAll('.glass-effect');
@@ -1037,34 +1804,61 @@ class Dashboard {
         if (contactEmail) {
             contactEmail.textContent = profileData.email || 'hrbayezid@gmail.com';
         }
+
+        this.showProfileImage(profileData.profileImage);
     }
 
     setupProfileImage() {
         if (this.profileImage && this.profilePreview) {
-            this.profileImage.addEventListener('change', (e) => {
+            this.profileImage.addEventListener('change', async (e) => {
                 const file = e.target.files[0];
-                if (file) {
-                    const reader = new FileReader();
-                    reader.onload = (e) => {
-                        this.profilePreview.innerHTML = `
-                            <img src="${e.target.result}" alt="Profile" class="w-32 h-32 rounded-full object-cover">
-                        `;
-                        this.profilePreview.classList.remove('hidden');
-
-                        const heroProfileImage = document.querySelector('#home .rounded-full img');
-                        if (heroProfileImage) {
-                            heroProfileImage.src = e.target.result;
-                        }
+                if (!file) return;
 
-                        localStorage.setItem('profileImage', e.target.result);
-                        this.showSuccessMessage('Profile picture updated successfully!');
-                    };
-                    reader.readAsDataURL(file);
+                try {
+                    const image = await window.githubService.uploadAsset(file, 'profile');
+                    this.profileForm.querySelector('[name="profileImage"]').value = image;
+                    this.showProfileImage(image);
+                    this.showSuccessMessage('Profile picture uploaded. Save your profile to keep it.');
+                } catch (error) {
+                    console.error('Failed to upload profile picture:', error);
+                    alert(`Could not upload the profile picture: ${error.message}`);
                 }
             });
         }
     }
 
+    showProfileImage(image) {
+        if (!image) return;
+        const url = window.githubService.resolveAssetUrl(image);
+        if (this.profilePreview) {
+            this.profilePreview.src = url;
+        }
+
+        const heroProfileImage = document.querySelector('#home .rounded-full img');
+        if (heroProfileImage) {
+            heroProfileImage.src = url;
+        }
+    }
+
+    // Images this tab still shows or holds in a form, saved or not
+    assetsInUse() {
+        return [
+            this.profileForm?.querySelector('[name="profileImage"]')?.value,
+            ...(window.projectManager?.projects || []).map(project => project.image)
+        ].filter(image => window.githubService.isAssetPath(image));
+    }
+
+    // Remove uploaded images nothing refers to anymore, after the data was saved
+    async pruneAssets(previousImage) {
+        if (!window.githubService.isAssetPath(previousImage) || !window.githubService.isWritable()) return;
+
+        try {
+            await window.githubService.collectGarbageAssets(this.assetsInUse());
+        } catch (error) {
+            console.warn('Could not remove unused assets:', error);
+        }
+    }
+
     showSuccessMessage(message) {
         const notification = document.createElement('div');
         notification.className = 'fixed bottom-4 right-4 glass-effect px-6 py-3 rounded-lg animate-fade-in';
@@ -1083,30 +1877,14 @@ class Dashboard {
     async loadSavedData() {
         try {
             // Load profile data from GitHub
-            const profileData = await window.githubService.getFileContent('data/profile.json');
+            const profileData = await window.githubService.getFileContent(window.githubService.dataPath('profile.json'));
             if (profileData) {
                 // Fill profile form
-                Object.entries(profileData).forEach(([key, value]) => {
-                    const input = document.querySelector(`#profile-form [name="${key}"]`);
-                    if (input) {
-                        if (input.type === 'checkbox') {
-                            input.checked = value;
-                        } else {
-                            input.value = value;
-                        }
-                    }
-                });
+                this.fillProfileForm(profileData);
 
                 // Update hero section
                 this.updateHeroSection(profileData);
 
-                // Update profile image if available
-                if (profileData.profileImage) {
-                    this.profilePreview.innerHTML = `
-                        <img src="${profileData.profileImage}" alt="Profile" class="w-32 h-32 rounded-full object-cover">
-                    `;
-                    this.profilePreview.classList.remove('hidden');
-                }
             } else {
                 // Fall back to localStorage if no GitHub data
                 const storedProfile = localStorage.getItem('profile');
@@ -1127,8 +1905,12 @@ class Dashboard {
             }
 
             // Load settings data
-            const settingsData = await window.githubService.getFileContent('data/settings.json');
-            if (settingsData) {
+            const settingsData = await window.githubService.getFileContent(window.githubService.dataPath('settings.json'));
+            if (settingsData && typeof settingsData === 'object' && !Array.isArray(settingsData)) {
+                // The session policy is read from the browser copy, also before anyone logs in
+                this.storeSettingsLocally(settingsData);
+                this.fillSettingsForm(settingsData);
+
                 // Apply settings
                 this.notificationSettings = settingsData.notifications || this.notificationSettings;
                 
@@ -1160,12 +1942,9 @@ class Dashboard {
                 }
             } else {
                 // Fall back to localStorage
-                const storedSettings = localStorage.getItem('settings');
-                if (storedSettings) {
-                    const settingsData = JSON.parse(storedSettings);
-                    document.querySelector(`#settings-form input[name="theme"][value="${settingsData.theme}"]`).checked = true;
-                    
-                    this.notificationSettings = JSON.parse(localStorage.getItem('notificationSettings')) || this.notificationSettings;
+                const settingsData = this.loadLocalSettings();
+                if (settingsData) {
+                    this.fillSettingsForm(settingsData);
                     
                     // Apply theme
                     if (settingsData.theme === 'dark') {
@@ -1206,12 +1985,9 @@ class Dashboard {
             this.updateHeroSection(profileData);
         }
         
-        const storedSettings = localStorage.getItem('settings');
-        if (storedSettings) {
-            const settingsData = JSON.parse(storedSettings);
-            document.querySelector(`#settings-form input[name="theme"][value="${settingsData.theme}"]`).checked = true;
-            
-            this.notificationSettings = JSON.parse(localStorage.getItem('notificationSettings')) || this.notificationSettings;
+        const settingsData = this.loadLocalSettings();
+        if (settingsData) {
+            this.fillSettingsForm(settingsData);
             
             if (settingsData.theme === 'dark') {
                 document.documentElement.classList.add('dark');
@@ -1296,7 +2072,7 @@ class Dashboard {
         });
 
         // Clean up form listeners
-        ['profile-form', 'settings-form'].forEach(id => {
+        ['profile-form', 'settings-form', 'storage-form'].forEach(id => {
             const form = document.getElementById(id);
             if (form) {
                 form.replaceWith(form.cloneNode(true));
@@ -1321,6 +2097,10 @@ document.addEventListener('DOMContentLoaded', () => {
         dashboard: new Dashboard(),
         projectManager: new ProjectManager(),
         skillsManager: new SkillsManager(),
+        historyManager: new HistoryManager(),
+        userManager: new UserManager(),
+        twoFactorManager: new TwoFactorManager(),
+        portfolioBundle: new PortfolioBundle(),
         navigation: new Navigation(),
         contactForm: new ContactForm()
     };
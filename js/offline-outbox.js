@@ -0,0 +1,283 @@
+/**
+ * Offline Outbox
+ *
+ * Keeps writes that could not reach the storage provider (no connection,
+ * rate limit, server error) in IndexedDB and delivers them later, all pending
+ * files in one commit, retrying with exponential backoff. Each entry remembers
+ * the version its edit started from, so edits made elsewhere in the meantime
+ * surface as a normal conflict instead of being overwritten.
+ *
+ * Entries belong to the storage provider, repository and user they were
+ * queued under. Entries of another scope are held: they are not delivered,
+ * counted or served until that scope is active again.
+ *
+ * Changes are announced with a `portfolio-outbox` window event whose detail
+ * holds the pending/failed counts plus `queued`, `delivered` or `conflict`.
+ */
+
+class OfflineOutbox {
+    constructor(service, options = {}) {
+        this.service = service;
+        this.baseDelay = options.baseDelay ?? 5000;
+        this.maxDelay = options.maxDelay ?? 10 * 60 * 1000;
+        this.maxAttempts = options.maxAttempts ?? 8;
+        this.store = IdbStore.isSupported() ? new IdbStore('portfolio-outbox', 'writes') : null;
+        this.entries = new Map();
+        this.timer = null;
+        this.flushing = null;
+
+        this.ready = this.load().then(() => this.flush());
+        window.addEventListener('online', () => this.flush());
+        window.addEventListener('portfolio-access-changed', () => this.scopeChanged());
+    }
+
+    // Where a write goes and who made it
+    scope() {
+        const { provider, options } = this.service.storageConfig;
+        const { owner, repo, branch } = this.service;
+        const target = provider === 'github' ? `${owner}/${repo}@${branch || ''}` : options.baseUrl || options.dbName || options.keyPrefix || '';
+        return `${provider}:${target}:${window.authManager?.currentUser?.email || ''}`;
+    }
+
+    key(path, scope = this.scope()) {
+        return `${scope}|${path}`;
+    }
+
+    // Entries of the active scope
+    active() {
+        const scope = this.scope();
+        return [...this.entries.values()].filter(entry => entry.scope === scope);
+    }
+
+    // Called when the provider, repository or signed-in user changes
+    scopeChanged() {
+        this.announce();
+        this.schedule();
+    }
+
+    async load() {
+        if (!this.store) return;
+        try {
+            const keys = await this.store.keys();
+            const entries = await Promise.all(keys.map(key => this.store.get(key)));
+            entries.filter(Boolean).forEach(entry => this.entries.set(this.key(entry.path, entry.scope), entry));
+        } catch (error) {
+            console.warn('Could not load the offline outbox:', error);
+        }
+        this.announce();
+    }
+
+    counts() {
+        const entries = this.active();
+        return {
+            pending: entries.filter(entry => entry.status === 'pending').length,
+            failed: entries.filter(entry => entry.status === 'failed').length
+        };
+    }
+
+    announce(extra = {}) {
+        window.dispatchEvent(new CustomEvent('portfolio-outbox', {
+            detail: { ...this.counts(), ...extra }
+        }));
+    }
+
+    // Pending content of a file, which is newer than anything stored remotely; failed entries are only counted
+    async get(path) {
+        await this.ready;
+        const entry = this.entries.get(this.key(path));
+        return entry?.status === 'pending' ? entry : null;
+    }
+
+    // Content of every queued or failed entry, of any scope
+    async contents() {
+        await this.ready;
+        return [...this.entries.values()].map(entry => entry.content);
+    }
+
+    async persist(entry) {
+        const key = this.key(entry.path, entry.scope);
+        this.entries.set(key, entry);
+        if (this.store) {
+            await this.store.set(key, entry).catch(error => console.warn('Could not persist outbox entry:', error));
+        }
+    }
+
+    async enqueue(path, content, message = null) {
+        await this.ready;
+        const existing = this.entries.get(this.key(path));
+        const loaded = this.service.getLoadedVersion(path);
+
+        await this.persist({
+            path,
+            scope: this.scope(),
+            content,
+            message,
+            // Later edits of a queued file still start from the first edit's base
+            base: existing ? existing.base : (loaded ? { sha: loaded.sha, content: loaded.content } : null),
+            status: 'pending',
+            attempts: 0,
+            lastError: null,
+            queuedAt: existing?.queuedAt || new Date().toISOString(),
+            nextAttemptAt: Date.now() + this.baseDelay
+        });
+
+        this.announce({ queued: path });
+        this.schedule();
+    }
+
+    async discard(path, scope = this.scope()) {
+        await this.ready;
+        const key = this.key(path, scope);
+        if (!this.entries.delete(key)) return;
+        if (this.store) {
+            await this.store.delete(key).catch(() => {});
+        }
+        this.announce();
+    }
+
+    async discardFailed() {
+        const failed = this.active().filter(entry => entry.status === 'failed');
+        for (const entry of failed) {
+            await this.discard(entry.path, entry.scope);
+        }
+        return failed.map(entry => entry.path);
+    }
+
+    async retryAll() {
+        for (const entry of this.active()) {
+            await this.persist({ ...entry, status: 'pending', attempts: 0, nextAttemptAt: Date.now() });
+        }
+        this.announce();
+        return this.flush();
+    }
+
+    // Replace a conflicting entry with the merged content, based on the remote version
+    async resolve(path, content) {
+        const loaded = this.service.getLoadedVersion(path);
+        const entry = this.entries.get(this.key(path));
+        if (!entry) return;
+
+        await this.persist({
+            ...entry,
+            content,
+            base: loaded ? { sha: loaded.sha, content: loaded.content } : entry.base,
+            status: 'pending',
+            attempts: 0,
+            lastError: null,
+            conflict: false,
+            nextAttemptAt: Date.now()
+        });
+        this.announce();
+        return this.flush();
+    }
+
+    schedule() {
+        clearTimeout(this.timer);
+        const pending = this.active().filter(entry => entry.status === 'pending');
+        if (pending.length === 0) return;
+
+        const next = Math.min(...pending.map(entry => entry.nextAttemptAt));
+        // Never poll faster than the base delay while delivery is impossible
+        this.timer = setTimeout(() => this.flush(), Math.max(next - Date.now(), this.baseDelay));
+    }
+
+    flush() {
+        if (!this.flushing) {
+            this.flushing = this.deliver().catch(error => {
+                console.error('Offline outbox delivery failed:', error);
+            }).finally(() => {
+                this.flushing = null;
+                this.schedule();
+            });
+        }
+        return this.flushing;
+    }
+
+    async deliver() {
+        const now = Date.now();
+        const pending = this.active().filter(entry => entry.status === 'pending' && entry.nextAttemptAt <= now);
+        if (pending.length === 0 || navigator.onLine === false || !this.service.isWritable()) {
+            return;
+        }
+
+        // Check for conflicts against the versions the edits started from
+        pending.forEach(entry => {
+            if (entry.base) {
+                this.service.rememberVersion(entry.path, entry.base.sha, entry.base.content);
+            }
+        });
+
+        // Entries the signed-in user may not write, or that no longer validate, stay failed instead of being retried
+        const changeset = this.service.createChangeset();
+        const due = [];
+        for (const entry of pending) {
+            try {
+                changeset.stage(entry.path, entry.content);
+                due.push(entry);
+            } catch (error) {
+                await this.persist({ ...entry, status: 'failed', lastError: error.message });
+            }
+        }
+        if (due.length < pending.length) {
+            this.announce();
+        }
+        if (due.length === 0) {
+            return;
+        }
+
+        const message = due.length === 1 && due[0].message
+            ? due[0].message
+            : `Sync offline changes to ${due.map(entry => entry.path).join(', ')}`;
+
+        try {
+            if (await this.service.commitChangeset(changeset, message, { queue: false })) {
+                for (const entry of due) {
+                    await this.discard(entry.path, entry.scope);
+                }
+                this.announce({ delivered: due.map(entry => entry.path) });
+                return;
+            }
+            await this.recordFailure(due, 'The storage provider rejected the changes');
+        } catch (error) {
+            if (error instanceof GitHubConflictError) {
+                await this.recordConflict(error);
+            } else {
+                await this.recordFailure(due, error.message);
+            }
+        }
+    }
+
+    async recordFailure(entries, message) {
+        for (const entry of entries) {
+            const attempts = entry.attempts + 1;
+            await this.persist({
+                ...entry,
+                attempts,
+                lastError: message,
+                status: attempts >= this.maxAttempts ? 'failed' : 'pending',
+                nextAttemptAt: Date.now() + Math.min(this.maxDelay, this.baseDelay * 2 ** attempts)
+            });
+        }
+        this.announce();
+    }
+
+    async recordConflict(conflict) {
+        const entry = this.entries.get(this.key(conflict.path));
+        if (!entry) return;
+
+        // The write already landed, e.g. the response was lost on the way back
+        if (RecordDiff.isEqual(conflict.remoteContent, entry.content)) {
+            this.service.acceptRemoteVersion(conflict);
+            await this.discard(entry.path, entry.scope);
+            return;
+        }
+
+        await this.persist({
+            ...entry,
+            status: 'failed',
+            conflict: true,
+            lastError: 'Changed elsewhere while offline'
+        });
+        this.announce({ conflict });
+    }
+}
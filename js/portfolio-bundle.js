@@ -0,0 +1,378 @@
+/**
+ * Portfolio Bundle
+ *
+ * Exports the profile, settings, projects, skills and the images they
+ * reference as a single ZIP archive, and imports such an archive again:
+ * the bundle is validated against the data schemas, the changes are
+ * previewed per file, and the result is written through GitHubService in
+ * one commit, or to the browser when the storage provider is not writable.
+ *
+ * Layout: manifest.json, data/<file>.json and assets/<folder>/<name> for
+ * every image that is stored as an asset rather than inline.
+ */
+
+class PortfolioBundle {
+    constructor() {
+        this.exportButton = document.getElementById('export-bundle-btn');
+        this.importButton = document.getElementById('import-bundle-btn');
+        this.fileInput = document.getElementById('import-bundle-file');
+        this.status = document.getElementById('bundle-status');
+        this.init();
+    }
+
+    init() {
+        if (!this.exportButton) return;
+
+        this.exportButton.addEventListener('click', () => this.exportBundle());
+        this.importButton.addEventListener('click', () => this.fileInput.click());
+        this.fileInput.addEventListener('change', () => {
+            const [file] = this.fileInput.files;
+            // Reset so picking the same file again fires another change
+            this.fileInput.value = '';
+            if (file) {
+                this.importBundle(file);
+            }
+        });
+    }
+
+    setStatus(message, type = 'info') {
+        const colors = { info: 'text-gray-400', success: 'text-green-400', warning: 'text-yellow-400', error: 'text-red-400' };
+        this.status.className = `text-sm mt-4 ${colors[type]}`;
+        this.status.textContent = message;
+    }
+
+    // Current content of a data file, falling back to the browser copy like the dashboard does
+    async readDataFile(fileName) {
+        try {
+            return await window.githubService.getFileContent(window.githubService.dataPath(fileName));
+        } catch (error) {
+            console.warn(`Could not read ${fileName}, using the browser copy:`, error);
+            if (fileName === 'settings.json') {
+                return window.dashboard.loadLocalSettings() || DataSchemas.empty(fileName);
+            }
+            const stored = JSON.parse(localStorage.getItem(GitHubBackendSetup.LOCAL_KEYS[fileName]) || 'null');
+            return DataSchemas.check(fileName, stored ?? DataSchemas.empty(fileName)).content;
+        }
+    }
+
+    // Image fields that may point at an uploaded asset
+    static imageFields(fileName, content) {
+        if (fileName === 'projects.json') {
+            return content.map(project => project.image);
+        }
+        return fileName === 'profile.json' ? [content.profileImage] : [];
+    }
+
+    static referencedAssets(data) {
+        const paths = Object.entries(data).flatMap(([fileName, content]) => PortfolioBundle.imageFields(fileName, content));
+        return [...new Set(paths.filter(path => window.githubService.isAssetPath(path)))];
+    }
+
+    async exportBundle() {
+        const service = window.githubService;
+        this.exportButton.disabled = true;
+        this.setStatus('Collecting portfolio data...');
+
+        try {
+            const data = {};
+            for (const fileName of PortfolioBundle.DATA_FILES) {
+                data[fileName] = await this.readDataFile(fileName);
+            }
+
+            const assets = new Map();
+            const missingAssets = [];
+            for (const path of PortfolioBundle.referencedAssets(data)) {
+                this.setStatus(`Downloading ${path}...`);
+                try {
+                    const content = await service.adapter.read(path);
+                    if (content === null) {
+                        missingAssets.push(path);
+                    } else {
+                        assets.set(path, content);
+                    }
+                } catch (error) {
+                    console.warn(`Could not download ${path}:`, error);
+                    missingAssets.push(path);
+                }
+            }
+
+            const manifest = {
+                format: PortfolioBundle.FORMAT,
+                version: PortfolioBundle.VERSION,
+                exportedAt: new Date().toISOString(),
+                source: { owner: service.owner, repo: service.repo, branch: service.workingBranch || null },
+                schemaVersions: Object.fromEntries(PortfolioBundle.DATA_FILES.map(fileName => [fileName, DataSchemas.SCHEMAS[fileName].version])),
+                files: PortfolioBundle.DATA_FILES.map(fileName => `data/${fileName}`),
+                assets: [...assets.keys()],
+                missingAssets
+            };
+
+            const archive = await ZipArchive.create([
+                { name: 'manifest.json', content: manifest },
+                ...PortfolioBundle.DATA_FILES.map(fileName => ({ name: `data/${fileName}`, content: data[fileName] })),
+                ...[...assets.entries()].map(([path, content]) => ({ name: path, content }))
+            ]);
+
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(archive);
+            link.download = `portfolio-${manifest.exportedAt.slice(0, 10)}.zip`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+
+            this.setStatus(
+                `Exported ${PortfolioBundle.DATA_FILES.length} data files and ${assets.size} image${assets.size === 1 ? '' : 's'}` +
+                (missingAssets.length > 0 ? `. ${missingAssets.length} referenced image(s) could not be downloaded.` : '.'),
+                missingAssets.length > 0 ? 'warning' : 'success'
+            );
+        } catch (error) {
+            console.error('Failed to export the portfolio:', error);
+            this.setStatus(`Export failed: ${error.message}`, 'error');
+        } finally {
+            this.exportButton.disabled = false;
+        }
+    }
+
+    /*
+     * Unpacks and validates a bundle. Throws if it is not a readable bundle;
+     * entries that do not match their schema and images missing from the
+     * archive are reported as warnings, invalid entries are left out.
+     */
+    static async readBundle(file) {
+        const entries = await ZipArchive.read(file);
+        const decoder = new TextDecoder();
+        const parse = (name) => {
+            try {
+                return JSON.parse(decoder.decode(entries.get(name)));
+            } catch (error) {
+                throw new Error(`${name} is not valid JSON`);
+            }
+        };
+
+        if (!entries.has('manifest.json')) {
+            throw new Error('The archive is not a portfolio bundle (manifest.json is missing)');
+        }
+        const manifest = parse('manifest.json');
+        if (manifest.format !== PortfolioBundle.FORMAT) {
+            throw new Error('The archive is not a portfolio bundle');
+        }
+        if (!(manifest.version <= PortfolioBundle.VERSION)) {
+            throw new Error(`The bundle was made by a newer version (format ${manifest.version}), please update first`);
+        }
+
+        const data = {};
+        const warnings = [];
+        PortfolioBundle.DATA_FILES.forEach(fileName => {
+            if (!entries.has(`data/${fileName}`)) return;
+            const { content, issues } = DataSchemas.check(fileName, parse(`data/${fileName}`));
+            issues.forEach(issue => warnings.push(`${fileName} ${DataSchemas.describeIssue(issue)}${issue.index !== undefined ? ' (skipped)' : ' (reset to default)'}`));
+            data[fileName] = content;
+        });
+        if (Object.keys(data).length === 0) {
+            throw new Error('The bundle contains no data files');
+        }
+
+        const assets = new Map();
+        PortfolioBundle.referencedAssets(data).forEach(path => {
+            if (entries.has(path)) {
+                assets.set(path, entries.get(path));
+            } else {
+                warnings.push(`${path} is not in the bundle, the reference is kept as it is`);
+            }
+        });
+
+        return { manifest, data, assets, warnings };
+    }
+
+    // Records only in the current data survive the 'merge' mode; the bundle wins otherwise
+    static combine(imported, current, mode) {
+        if (mode !== 'merge' || !Array.isArray(imported) || !Array.isArray(current)) {
+            return imported;
+        }
+        const ids = new Set(imported.map(record => String(record.id)));
+        return [...imported, ...current.filter(record => !ids.has(String(record.id)))];
+    }
+
+    describeChanges(fileName, imported, current) {
+        const entries = RecordDiff.diff(imported, current ?? (Array.isArray(imported) ? [] : null), null);
+        if (!Array.isArray(imported)) {
+            const fields = entries[0].fields.filter(field => field !== 'schemaVersion');
+            return fields.length > 0 ? [`Changed: ${fields.join(', ')}`] : [];
+        }
+        return entries.filter(entry => entry.status !== 'unchanged').map(entry => {
+            const label = RecordDiff.label(entry.local || entry.remote, fileName);
+            if (entry.status === 'local-only') return `Added: ${label}`;
+            if (entry.status === 'remote-only') return `Not in the bundle: ${label}`;
+            return `Changed: ${label} (${entry.fields.join(', ')})`;
+        });
+    }
+
+    async importBundle(file) {
+        let bundle;
+        const current = {};
+        this.setStatus(`Reading ${file.name}...`);
+        try {
+            bundle = await PortfolioBundle.readBundle(file);
+            for (const fileName of Object.keys(bundle.data)) {
+                current[fileName] = await this.readDataFile(fileName);
+            }
+        } catch (error) {
+            console.error('Failed to read the bundle:', error);
+            this.setStatus(`Import failed: ${error.message}`, 'error');
+            return;
+        }
+        this.setStatus('');
+
+        const mode = await this.showPreview(bundle, current);
+        if (!mode) {
+            this.setStatus('Import cancelled, nothing was changed.');
+            return;
+        }
+
+        this.importButton.disabled = true;
+        try {
+            const target = await this.applyBundle(bundle, current, mode);
+            this.setStatus(`Imported the bundle from ${bundle.manifest.exportedAt?.slice(0, 10) || 'an unknown date'} into ${target}.`, 'success');
+            window.dashboard.showSuccessMessage('Portfolio bundle imported!');
+        } catch (error) {
+            console.error('Failed to import the bundle:', error);
+            this.setStatus(`Import failed: ${error.message}`, 'error');
+        } finally {
+            this.importButton.disabled = false;
+        }
+    }
+
+    // Resolves with 'replace' or 'merge', or null if cancelled
+    showPreview(bundle, current) {
+        const { manifest, data, assets, warnings } = bundle;
+        const writable = window.githubService.isWritable();
+
+        return new Promise(resolve => {
+            const modal = document.createElement('div');
+            modal.className = 'fixed inset-0 bg-black/50 flex items-center justify-center z-50';
+            modal.innerHTML = `
+                <div class="glass-effect p-6 rounded-xl w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+                    <h3 class="text-xl font-bold mb-2"><i class="fas fa-file-import mr-2"></i>Import Portfolio Bundle</h3>
+                    <p class="text-sm text-gray-400 mb-4">
+                        Exported ${utils.escapeHtml(manifest.exportedAt ? new Date(manifest.exportedAt).toLocaleString() : 'at an unknown date')}
+                        ${manifest.source?.owner ? `from ${utils.escapeHtml(`${manifest.source.owner}/${manifest.source.repo}`)}` : ''}.
+                        It will be written ${writable ? 'to the storage provider in one commit' : 'to this browser, as the storage provider is not writable'}.
+                    </p>
+                    <form id="bundle-preview-form" class="space-y-4">
+                        ${Object.entries(data).map(([fileName, content]) => {
+                            const changes = this.describeChanges(fileName, content, current[fileName]);
+                            return `
+                                <div class="p-4 rounded-lg bg-white/5 border border-white/10">
+                                    <div class="flex justify-between items-center mb-2">
+                                        <span class="font-mono">${utils.escapeHtml(fileName)}</span>
+                                        <span class="text-xs text-gray-400">${changes.length === 0 ? 'No changes' : `${changes.length} change${changes.length === 1 ? '' : 's'}`}</span>
+                                    </div>
+                                    <ul class="text-sm text-gray-300 space-y-1 max-h-40 overflow-y-auto">
+                                        ${changes.map(change => `<li>${utils.escapeHtml(change)}</li>`).join('')}
+                                    </ul>
+                                </div>
+                            `;
+                        }).join('')}
+                        <p class="text-sm text-gray-300">${assets.size} image${assets.size === 1 ? '' : 's'} will be ${writable ? 'uploaded' : 'stored inline'}.</p>
+                        ${warnings.length > 0 ? `
+                            <div class="p-4 rounded-lg bg-yellow-500/10 border border-yellow-500/30 text-sm text-yellow-400">
+                                <p class="font-semibold mb-1"><i class="fas fa-exclamation-triangle mr-2"></i>Warnings</p>
+                                <ul class="space-y-1">${warnings.map(warning => `<li>${utils.escapeHtml(warning)}</li>`).join('')}</ul>
+                            </div>
+                        ` : ''}
+                        <div class="space-y-2 text-sm">
+                            <label class="flex items-center gap-2">
+                                <input type="radio" name="mode" value="replace" checked>
+                                Replace the current projects and skills with the bundle
+                            </label>
+                            <label class="flex items-center gap-2">
+                                <input type="radio" name="mode" value="merge">
+                                Keep projects and skills that are not in the bundle
+                            </label>
+                        </div>
+                        <div class="flex flex-wrap justify-end gap-2 pt-2">
+                            <button type="button" data-action="cancel" class="px-4 py-2 bg-white/10 rounded-lg hover:bg-white/20 transition">Cancel</button>
+                            <button type="submit" class="px-4 py-2 bg-gradient-to-r from-primary-500 to-purple-500 rounded-lg hover:from-primary-600 hover:to-purple-600 transition">Import</button>
+                        </div>
+                    </form>
+                </div>
+            `;
+            document.body.appendChild(modal);
+
+            const finish = (mode) => {
+                modal.remove();
+                resolve(mode);
+            };
+            modal.querySelector('[data-action="cancel"]').addEventListener('click', () => finish(null));
+            modal.querySelector('form').addEventListener('submit', (e) => {
+                e.preventDefault();
+                finish(new FormData(e.target).get('mode'));
+            });
+        });
+    }
+
+    // Upload the bundled images and point the data at wherever they ended up
+    async storeAssets(bundle) {
+        const stored = new Map();
+        for (const [path, bytes] of bundle.assets) {
+            const folder = path.split('/').slice(1, -1).join('/') || 'images';
+            const file = new File([bytes], path.split('/').pop(), { type: ContentCodec.mimeType(path) });
+            stored.set(path, await window.githubService.uploadAsset(file, folder));
+        }
+        return stored;
+    }
+
+    static replaceAssets(fileName, content, stored) {
+        const swap = value => (stored.has(value) ? stored.get(value) : value);
+        if (fileName === 'projects.json') {
+            return content.map(project => (project.image ? { ...project, image: swap(project.image) } : project));
+        }
+        if (fileName === 'profile.json' && content.profileImage) {
+            return { ...content, profileImage: swap(content.profileImage) };
+        }
+        return content;
+    }
+
+    // Returns a description of where the data was written
+    async applyBundle(bundle, current, mode) {
+        const service = window.githubService;
+        this.setStatus('Importing images...');
+        const stored = await this.storeAssets(bundle);
+        const contents = Object.fromEntries(Object.entries(bundle.data).map(([fileName, content]) => [
+            fileName,
+            PortfolioBundle.replaceAssets(fileName, PortfolioBundle.combine(content, current[fileName], mode), stored)
+        ]));
+
+        if (service.isWritable()) {
+            this.setStatus('Writing the data files...');
+            const changeset = service.createChangeset();
+            Object.entries(contents).forEach(([fileName, content]) => changeset.stage(service.dataPath(fileName), content));
+            let committed;
+            try {
+                committed = await changeset.commit('Import portfolio bundle');
+            } catch (error) {
+                if (!(error instanceof GitHubConflictError)) throw error;
+                throw new Error(`${error.path} changed since the preview. Import the bundle again to see the latest changes.`);
+            }
+            if (!committed) {
+                throw new Error('The data files could not be written. Nothing was imported.');
+            }
+        } else {
+            Object.entries(contents).forEach(([fileName, content]) => {
+                if (fileName === 'settings.json') {
+                    window.dashboard.storeSettingsLocally(content);
+                } else {
+                    localStorage.setItem(GitHubBackendSetup.LOCAL_KEYS[fileName], JSON.stringify(content));
+                }
+            });
+        }
+
+        await window.dashboard.reloadAllData();
+        return service.isWritable() ? service.adapter.constructor.label : 'this browser';
+    }
+}
+
+PortfolioBundle.FORMAT = 'bayezid-portfolio-bundle';
+PortfolioBundle.VERSION = 1;
+PortfolioBundle.DATA_FILES = ['profile.json', 'settings.json', 'projects.json', 'skills.json'];
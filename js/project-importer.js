@@ -0,0 +1,311 @@
+/**
+ * Project Importer
+ *
+ * Turns the owner's GitHub repositories into portfolio projects. The admin
+ * picks repositories in a modal and maps their topics to project categories;
+ * imported projects remember their repository in `source`, so a later
+ * re-sync can refresh description, topics, languages and stars without
+ * overwriting fields that were edited in the dashboard.
+ */
+
+class ProjectImporter {
+    constructor(projectManager) {
+        this.projectManager = projectManager;
+        this.repos = [];
+    }
+
+    static loadTopicMap() {
+        try {
+            return JSON.parse(localStorage.getItem('github_import_topics') || 'null') || { ...ProjectImporter.DEFAULT_TOPIC_MAP };
+        } catch (e) {
+            return { ...ProjectImporter.DEFAULT_TOPIC_MAP };
+        }
+    }
+
+    static saveTopicMap(topicMap) {
+        localStorage.setItem('github_import_topics', JSON.stringify(topicMap));
+    }
+
+    // First topic with a mapped category wins
+    static categoryFor(repo, topicMap, fallback) {
+        const topic = repo.topics.find(name => topicMap[name]);
+        return topic ? topicMap[topic] : fallback;
+    }
+
+    static title(name) {
+        return name.replace(/[-_]+/g, ' ').replace(/\b\w/g, letter => letter.toUpperCase());
+    }
+
+    // Fields that always come from GitHub
+    static repoFields(repo, languages) {
+        return {
+            description: repo.description,
+            link: repo.homepage || repo.url,
+            repository: repo.url,
+            topics: repo.topics,
+            languages: Object.entries(languages)
+                .sort(([, a], [, b]) => b - a)
+                .map(([language]) => language),
+            stars: repo.stars
+        };
+    }
+
+    static toProject(repo, languages, category) {
+        const fields = ProjectImporter.repoFields(repo, languages);
+        return {
+            id: Date.now() + repo.id,
+            title: ProjectImporter.title(repo.name),
+            category,
+            status: 'completed',
+            image: '',
+            ...fields,
+            source: {
+                provider: 'github',
+                repo: repo.fullName,
+                repoId: repo.id,
+                description: fields.description,
+                link: fields.link,
+                syncedAt: new Date().toISOString()
+            }
+        };
+    }
+
+    static syncProject(project, repo, languages) {
+        const fields = ProjectImporter.repoFields(repo, languages);
+        const source = project.source;
+        return {
+            ...project,
+            ...fields,
+            // Keep a description or link that was edited since the last sync
+            description: project.description === source.description ? fields.description : project.description,
+            link: project.link === source.link ? fields.link : project.link,
+            source: {
+                ...source,
+                repo: repo.fullName,
+                description: fields.description,
+                link: fields.link,
+                syncedAt: new Date().toISOString()
+            }
+        };
+    }
+
+    importedProjects() {
+        return this.projectManager.projects.filter(project => project.source?.provider === 'github');
+    }
+
+    findImported(repo) {
+        return this.importedProjects().find(project => project.source.repoId === repo.id);
+    }
+
+    async import(repos, topicMap, fallbackCategory) {
+        const service = window.githubService;
+        const imported = [];
+        for (const repo of repos) {
+            const languages = await service.getRepositoryLanguages(repo.fullName);
+            imported.push(ProjectImporter.toProject(repo, languages, ProjectImporter.categoryFor(repo, topicMap, fallbackCategory)));
+        }
+        await this.projectManager.addProjects(imported);
+        return imported;
+    }
+
+    // Refresh every imported project whose repository still exists
+    async resync() {
+        const service = window.githubService;
+        const repos = this.repos.length > 0 ? this.repos : await service.listOwnerRepositories();
+        const byId = new Map(repos.map(repo => [repo.id, repo]));
+
+        let synced = 0;
+        const projects = [];
+        for (const project of this.projectManager.projects) {
+            const repo = project.source?.provider === 'github' && byId.get(project.source.repoId);
+            if (repo) {
+                projects.push(ProjectImporter.syncProject(project, repo, await service.getRepositoryLanguages(repo.fullName)));
+                synced++;
+            } else {
+                projects.push(project);
+            }
+        }
+        await this.projectManager.replaceProjects(projects);
+        return synced;
+    }
+
+    async show() {
+        const modal = document.createElement('div');
+        modal.className = 'fixed inset-0 bg-black/50 flex items-center justify-center z-50';
+        modal.innerHTML = `
+            <div class="glass-effect p-6 rounded-xl w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+                <h3 class="text-xl font-bold mb-2"><i class="fab fa-github mr-2"></i>Import from GitHub</h3>
+                <p id="import-status" class="text-sm text-gray-400 mb-4">
+                    <i class="fas fa-spinner fa-spin mr-2"></i>Loading repositories of ${utils.escapeHtml(window.githubService.owner)}...
+                </p>
+                <div id="import-body" class="hidden space-y-6">
+                    <div>
+                        <div class="flex items-center justify-between mb-2">
+                            <h4 class="font-semibold">Repositories</h4>
+                            <label class="text-sm text-gray-400"><input type="checkbox" id="import-show-forks" class="mr-1">Show forks and archived</label>
+                        </div>
+                        <div id="import-repos" class="space-y-2 max-h-72 overflow-y-auto pr-2"></div>
+                    </div>
+                    <div>
+                        <h4 class="font-semibold mb-2">Topics to categories</h4>
+                        <div id="import-topics" class="grid grid-cols-1 md:grid-cols-2 gap-2"></div>
+                        <label class="block text-sm font-medium mt-4 mb-1">Category for repositories without a mapped topic</label>
+                        <select id="import-fallback" class="w-full md:w-1/2 p-2 bg-white/10 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 text-white">
+                            ${this.categoryOptions('web')}
+                        </select>
+                    </div>
+                </div>
+                <div class="flex flex-wrap justify-end gap-2 mt-6">
+                    <button type="button" id="import-cancel" class="px-4 py-2 bg-white/10 rounded-lg hover:bg-white/20 transition">Cancel</button>
+                    <button type="button" id="import-resync" class="hidden px-4 py-2 bg-white/10 rounded-lg hover:bg-white/20 transition">
+                        <i class="fas fa-sync-alt mr-2"></i>Re-sync Imported
+                    </button>
+                    <button type="button" id="import-submit" disabled class="px-4 py-2 bg-gradient-to-r from-primary-500 to-purple-500 rounded-lg hover:from-primary-600 hover:to-purple-600 transition">
+                        <i class="fas fa-file-import mr-2"></i>Import Selected
+                    </button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        const status = modal.querySelector('#import-status');
+        const submitButton = modal.querySelector('#import-submit');
+        const resyncButton = modal.querySelector('#import-resync');
+        modal.querySelector('#import-cancel').addEventListener('click', () => modal.remove());
+
+        try {
+            this.repos = await window.githubService.listOwnerRepositories();
+        } catch (error) {
+            console.error('Failed to list repositories:', error);
+            status.innerHTML = `<span class="text-red-400"><i class="fas fa-exclamation-circle mr-2"></i>Could not load repositories: ${utils.escapeHtml(error.message)}</span>`;
+            return;
+        }
+
+        const topicMap = ProjectImporter.loadTopicMap();
+        const renderRepos = () => {
+            const showAll = modal.querySelector('#import-show-forks').checked;
+            const repos = this.repos.filter(repo => showAll || (!repo.fork && !repo.archived));
+            modal.querySelector('#import-repos').innerHTML = repos.map(repo => {
+                const imported = this.findImported(repo);
+                return `
+                    <label class="flex items-start gap-3 p-3 bg-white/5 rounded-lg ${imported ? 'opacity-60' : 'cursor-pointer hover:bg-white/10'}">
+                        <input type="checkbox" value="${repo.id}" class="mt-1" ${imported ? 'disabled' : ''}>
+                        <div class="flex-1 min-w-0">
+                            <div class="flex items-center gap-2">
+                                <span class="font-medium">${utils.escapeHtml(repo.name)}</span>
+                                ${imported ? '<span class="px-2 py-0.5 rounded-full text-xs bg-green-500/20 text-green-400">Imported</span>' : ''}
+                                <span class="ml-auto text-xs text-gray-400">
+                                    ${repo.language ? utils.escapeHtml(repo.language) : ''}
+                                    <i class="fas fa-star ml-2 mr-1"></i>${repo.stars}
+                                </span>
+                            </div>
+                            <p class="text-sm text-gray-400 truncate">${utils.escapeHtml(repo.description || 'No description')}</p>
+                            ${repo.topics.length > 0 ? `<p class="text-xs text-primary-400 mt-1">${repo.topics.map(utils.escapeHtml).join(' · ')}</p>` : ''}
+                        </div>
+                    </label>
+                `;
+            }).join('') || '<p class="text-sm text-gray-400">No repositories found.</p>';
+        };
+
+        const topics = [...new Set(this.repos.flatMap(repo => repo.topics))].sort();
+        modal.querySelector('#import-topics').innerHTML = topics.map(topic => `
+            <label class="flex items-center justify-between gap-2 text-sm">
+                <span class="truncate">${utils.escapeHtml(topic)}</span>
+                <select data-topic="${utils.escapeHtml(topic)}" class="p-1 bg-white/10 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 text-white">
+                    <option value="">Not mapped</option>
+                    ${this.categoryOptions(topicMap[topic])}
+                </select>
+            </label>
+        `).join('') || '<p class="text-sm text-gray-400">None of the repositories have topics.</p>';
+
+        renderRepos();
+        modal.querySelector('#import-show-forks').addEventListener('change', renderRepos);
+        modal.querySelector('#import-repos').addEventListener('change', () => {
+            submitButton.disabled = !modal.querySelector('#import-repos input:checked');
+        });
+
+        const imported = this.importedProjects().length;
+        resyncButton.classList.toggle('hidden', imported === 0);
+        status.textContent = `${this.repos.length} repositories found${imported > 0 ? `, ${imported} already imported` : ''}.`;
+        modal.querySelector('#import-body').classList.remove('hidden');
+
+        submitButton.addEventListener('click', async () => {
+            modal.querySelectorAll('#import-topics select').forEach(select => {
+                if (select.value) {
+                    topicMap[select.dataset.topic] = select.value;
+                } else {
+                    delete topicMap[select.dataset.topic];
+                }
+            });
+            ProjectImporter.saveTopicMap(topicMap);
+
+            const ids = [...modal.querySelectorAll('#import-repos input:checked')].map(input => Number(input.value));
+            const selected = this.repos.filter(repo => ids.includes(repo.id));
+            submitButton.disabled = true;
+            submitButton.innerHTML = '<i class="fas fa-spinner fa-spin mr-2"></i>Importing...';
+            try {
+                const projects = await this.import(selected, topicMap, modal.querySelector('#import-fallback').value);
+                modal.remove();
+                window.dashboard.showSuccessMessage(`Imported ${projects.length} project${projects.length === 1 ? '' : 's'} from GitHub.`);
+            } catch (error) {
+                console.error('Failed to import projects:', error);
+                alert(`Could not import the projects: ${error.message}`);
+                submitButton.disabled = false;
+                submitButton.innerHTML = '<i class="fas fa-file-import mr-2"></i>Import Selected';
+            }
+        });
+
+        resyncButton.addEventListener('click', async () => {
+            resyncButton.disabled = true;
+            resyncButton.innerHTML = '<i class="fas fa-spinner fa-spin mr-2"></i>Syncing...';
+            try {
+                const synced = await this.resync();
+                modal.remove();
+                window.dashboard.showSuccessMessage(`Re-synced ${synced} project${synced === 1 ? '' : 's'} from GitHub.`);
+            } catch (error) {
+                console.error('Failed to re-sync projects:', error);
+                alert(`Could not re-sync the projects: ${error.message}`);
+                resyncButton.disabled = false;
+                resyncButton.innerHTML = '<i class="fas fa-sync-alt mr-2"></i>Re-sync Imported';
+            }
+        });
+    }
+
+    categoryOptions(selected) {
+        return Object.entries(ProjectManager.CATEGORIES).map(([value, label]) =>
+            `<option value="${value}" ${selected === value ? 'selected' : ''}>${label}</option>`
+        ).join('');
+    }
+}
+
+// Topic -> project category used until the admin saves their own mapping
+ProjectImporter.DEFAULT_TOPIC_MAP = {
+    'web': 'web',
+    'website': 'web',
+    'frontend': 'web',
+    'javascript': 'web',
+    'react': 'web',
+    'data-science': 'data',
+    'data-analysis': 'data',
+    'pandas': 'data',
+    'jupyter-notebook': 'data',
+    'machine-learning': 'ml',
+    'deep-learning': 'ml',
+    'scikit-learn': 'ml',
+    'tensorflow': 'ml',
+    'pytorch': 'ml',
+    'data-visualization': 'viz',
+    'visualization': 'viz',
+    'dashboard': 'viz',
+    'data-cleaning': 'cleaning',
+    'etl': 'cleaning',
+    'sql': 'sql',
+    'database': 'sql',
+    'api': 'api',
+    'rest-api': 'api',
+    'fastapi': 'api',
+    'flask': 'api',
+    'automation': 'automation',
+    'bot': 'automation',
+    'web-scraping': 'automation'
+};
@@ -0,0 +1,318 @@
+/**
+ * QR Code
+ *
+ * Small QR code encoder (ISO/IEC 18004) so setup URIs such as the TOTP
+ * secret never leave the browser for a third-party QR service. Text is
+ * encoded in byte mode with error correction level M and the smallest
+ * version that fits; the mask with the lowest penalty score is used.
+ */
+
+const QrCode = {
+    // Per version 1-40 at level M, index 0 unused
+    ECC_CODEWORDS_PER_BLOCK: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26,
+        26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    ERROR_CORRECTION_BLOCKS: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14,
+        16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    // Format information bits of level M
+    LEVEL_BITS: 0,
+
+    // Modules available for data and error correction codewords
+    rawDataModules(version) {
+        let modules = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const alignments = Math.floor(version / 7) + 2;
+            modules -= (25 * alignments - 10) * alignments - 55;
+            if (version >= 7) modules -= 36;
+        }
+        return modules;
+    },
+
+    dataCodewords(version) {
+        return Math.floor(this.rawDataModules(version) / 8)
+            - this.ECC_CODEWORDS_PER_BLOCK[version] * this.ERROR_CORRECTION_BLOCKS[version];
+    },
+
+    alignmentPositions(version) {
+        if (version === 1) return [];
+        const count = Math.floor(version / 7) + 2;
+        const size = version * 4 + 17;
+        const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+        const positions = [6];
+        for (let position = size - 7; positions.length < count; position -= step) {
+            positions.splice(1, 0, position);
+        }
+        return positions;
+    },
+
+    // Multiplication in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+    multiply(x, y) {
+        let product = 0;
+        for (let i = 7; i >= 0; i--) {
+            product = (product << 1) ^ ((product >>> 7) * 0x11D);
+            product ^= ((y >>> i) & 1) * x;
+        }
+        return product;
+    },
+
+    reedSolomonDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < result.length; j++) {
+                result[j] = this.multiply(result[j], root);
+                if (j + 1 < result.length) result[j] ^= result[j + 1];
+            }
+            root = this.multiply(root, 0x02);
+        }
+        return result;
+    },
+
+    reedSolomonRemainder(data, divisor) {
+        const result = new Array(divisor.length).fill(0);
+        for (const byte of data) {
+            const factor = byte ^ result.shift();
+            result.push(0);
+            divisor.forEach((coefficient, i) => {
+                result[i] ^= this.multiply(coefficient, factor);
+            });
+        }
+        return result;
+    },
+
+    // Data codewords split into blocks, each followed by its error correction, interleaved
+    codewords(bytes) {
+        let version = 1;
+        const countBits = () => (version <= 9 ? 8 : 16);
+        while (4 + countBits() + bytes.length * 8 > this.dataCodewords(version) * 8) {
+            if (++version > 40) {
+                throw new Error('The text is too long for a QR code');
+            }
+        }
+
+        const bits = [];
+        const append = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+        };
+        append(0b0100, 4);
+        append(bytes.length, countBits());
+        bytes.forEach(byte => append(byte, 8));
+
+        const capacity = this.dataCodewords(version) * 8;
+        append(0, Math.min(4, capacity - bits.length));
+        append(0, (8 - (bits.length % 8)) % 8);
+        const data = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+        }
+        for (let pad = 0xEC; data.length < capacity / 8; pad ^= 0xEC ^ 0x11) {
+            data.push(pad);
+        }
+
+        const blockCount = this.ERROR_CORRECTION_BLOCKS[version];
+        const eccLength = this.ECC_CODEWORDS_PER_BLOCK[version];
+        const rawCodewords = Math.floor(this.rawDataModules(version) / 8);
+        const shortBlocks = blockCount - (rawCodewords % blockCount);
+        const shortLength = Math.floor(rawCodewords / blockCount);
+        const divisor = this.reedSolomonDivisor(eccLength);
+
+        const blocks = [];
+        for (let i = 0, offset = 0; i < blockCount; i++) {
+            const block = data.slice(offset, offset + shortLength - eccLength + (i < shortBlocks ? 0 : 1));
+            offset += block.length;
+            const ecc = this.reedSolomonRemainder(block, divisor);
+            if (i < shortBlocks) block.push(0);
+            blocks.push(block.concat(ecc));
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                // Short blocks carry a placeholder where the long ones have one more data codeword
+                if (i !== shortLength - eccLength || j >= shortBlocks) {
+                    result.push(block[i]);
+                }
+            });
+        }
+        return { version, codewords: result };
+    },
+
+    // Matrix of booleans (true = dark), rows first
+    encode(text) {
+        const { version, codewords } = this.codewords(Array.from(new TextEncoder().encode(text)));
+        const size = version * 4 + 17;
+        const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+        const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+        const set = (x, y, dark) => {
+            modules[y][x] = dark;
+            reserved[y][x] = true;
+        };
+
+        // Timing patterns, then finder and alignment patterns on top
+        for (let i = 0; i < size; i++) {
+            set(6, i, i % 2 === 0);
+            set(i, 6, i % 2 === 0);
+        }
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    if (x >= 0 && x < size && y >= 0 && y < size) {
+                        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                        set(x, y, distance !== 2 && distance !== 4);
+                    }
+                }
+            }
+        });
+        const positions = this.alignmentPositions(version);
+        const last = positions.length - 1;
+        positions.forEach((cx, i) => {
+            positions.forEach((cy, j) => {
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            });
+        });
+
+        const drawFormat = (mask) => {
+            const data = (this.LEVEL_BITS << 3) | mask;
+            let remainder = data;
+            for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+            const bits = ((data << 10) | remainder) ^ 0x5412;
+            const bit = i => ((bits >>> i) & 1) !== 0;
+
+            for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+            set(8, 7, bit(6));
+            set(8, 8, bit(7));
+            set(7, 8, bit(8));
+            for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+            for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+            for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+            set(8, size - 8, true);
+        };
+        drawFormat(0);
+
+        if (version >= 7) {
+            let remainder = version;
+            for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+            const bits = (version << 12) | remainder;
+            for (let i = 0; i < 18; i++) {
+                const dark = ((bits >>> i) & 1) !== 0;
+                const a = size - 11 + (i % 3);
+                const b = Math.floor(i / 3);
+                set(a, b, dark);
+                set(b, a, dark);
+            }
+        }
+
+        // Codeword bits in two-module columns, zigzagging up and down from the right
+        let index = 0;
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            for (let vertical = 0; vertical < size; vertical++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? size - 1 - vertical : vertical;
+                    if (!reserved[y][x] && index < codewords.length * 8) {
+                        modules[y][x] = ((codewords[index >>> 3] >>> (7 - (index & 7))) & 1) !== 0;
+                        index++;
+                    }
+                }
+            }
+        }
+
+        const masks = [
+            (x, y) => (x + y) % 2 === 0,
+            (x, y) => y % 2 === 0,
+            (x) => x % 3 === 0,
+            (x, y) => (x + y) % 3 === 0,
+            (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+            (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+            (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+            (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0
+        ];
+        const applyMask = (mask) => {
+            for (let y = 0; y < size; y++) {
+                for (let x = 0; x < size; x++) {
+                    if (!reserved[y][x] && masks[mask](x, y)) modules[y][x] = !modules[y][x];
+                }
+            }
+        };
+
+        let best = 0;
+        let lowest = Infinity;
+        for (let mask = 0; mask < 8; mask++) {
+            applyMask(mask);
+            drawFormat(mask);
+            const score = this.penalty(modules);
+            if (score < lowest) {
+                best = mask;
+                lowest = score;
+            }
+            applyMask(mask);
+        }
+        applyMask(best);
+        drawFormat(best);
+        return modules;
+    },
+
+    // Penalty rules of the standard: runs, 2x2 blocks, finder-like patterns and balance
+    penalty(modules) {
+        const size = modules.length;
+        const lines = [];
+        for (let i = 0; i < size; i++) {
+            lines.push(modules[i]);
+            lines.push(modules.map(row => row[i]));
+        }
+
+        let score = 0;
+        const finderLike = [true, false, true, true, true, false, true];
+        lines.forEach(line => {
+            let run = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && line[i] === line[i - 1]) {
+                    run++;
+                } else {
+                    if (run >= 5) score += run - 2;
+                    run = 1;
+                }
+            }
+            for (let i = 0; i + 7 <= size; i++) {
+                if (!finderLike.every((dark, k) => line[i + k] === dark)) continue;
+                const lightBefore = i >= 4 && [1, 2, 3, 4].every(k => !line[i - k]);
+                const lightAfter = i + 11 <= size && [0, 1, 2, 3].every(k => !line[i + 7 + k]);
+                if (lightBefore || lightAfter) score += 40;
+            }
+        });
+
+        let dark = 0;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (modules[y][x]) dark++;
+                if (x + 1 < size && y + 1 < size) {
+                    const color = modules[y][x];
+                    if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+                        score += 3;
+                    }
+                }
+            }
+        }
+        const total = size * size;
+        score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+        return score;
+    },
+
+    // SVG markup with a four-module quiet zone
+    toSvg(text, { size = 200 } = {}) {
+        const modules = this.encode(text);
+        const extent = modules.length + 8;
+        const path = modules.flatMap((row, y) => row.map((dark, x) => (dark ? `M${x + 4},${y + 4}h1v1h-1z` : ''))).join('');
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${extent} ${extent}" width="${size}" height="${size}" shape-rendering="crispEdges" role="img" aria-label="QR code">`
+            + `<rect width="${extent}" height="${extent}" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+    }
+};
@@ -0,0 +1,112 @@
+/**
+ * Record Diff Utility
+ *
+ * Compares two versions of a data file record by record (arrays are matched on
+ * their `id`, plain objects are treated as a single record) and merges them
+ * field by field, using the originally loaded version as the common base when
+ * it is known.
+ */
+
+const RecordDiff = {
+    isEqual(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    },
+
+    // Top-level fields whose values differ between two records
+    changedFields(a = {}, b = {}) {
+        const fields = new Set([...Object.keys(a || {}), ...Object.keys(b || {})]);
+        return [...fields].filter(field => !this.isEqual(a?.[field], b?.[field]));
+    },
+
+    label(record, fallback = '') {
+        if (!record || typeof record !== 'object') return String(fallback);
+        return record.title || record.name || (record.id !== undefined ? `#${record.id}` : String(fallback));
+    },
+
+    /*
+     * Returns one entry per record:
+     *   { id, local, remote, base, status, fields }
+     * where status is 'unchanged', 'modified', 'local-only' or 'remote-only'.
+     */
+    diff(local, remote, base = null, key = 'id') {
+        if (!Array.isArray(local) || !Array.isArray(remote)) {
+            return [this.entry('file', local ?? null, remote ?? null, base ?? null)];
+        }
+
+        const toMap = list => new Map((list || []).map(record => [String(record?.[key]), record]));
+        const localMap = toMap(local);
+        const remoteMap = toMap(remote);
+        const baseMap = toMap(Array.isArray(base) ? base : []);
+        const ids = [...new Set([...localMap.keys(), ...remoteMap.keys()])];
+
+        return ids.map(id => this.entry(id, localMap.get(id) ?? null, remoteMap.get(id) ?? null, baseMap.get(id) ?? null));
+    },
+
+    entry(id, local, remote, base) {
+        let status;
+        if (local !== null && remote !== null) {
+            status = this.isEqual(local, remote) ? 'unchanged' : 'modified';
+        } else {
+            status = local !== null ? 'local-only' : 'remote-only';
+        }
+
+        return {
+            id,
+            local,
+            remote,
+            base,
+            status,
+            fields: this.changedFields(local, remote),
+            defaultChoice: this.defaultChoice(status, base)
+        };
+    },
+
+    // 'local' keeps my version, 'remote' keeps theirs, 'merge' combines both
+    defaultChoice(status, base) {
+        switch (status) {
+            case 'modified':
+                return 'merge';
+            case 'local-only':
+                // Present in the base means it was deleted remotely
+                return base !== null ? 'remote' : 'local';
+            case 'remote-only':
+                // Present in the base means I deleted it
+                return base !== null ? 'local' : 'remote';
+            default:
+                return 'local';
+        }
+    },
+
+    // Field-level three-way merge; without a base my changes win
+    mergeRecord(local, remote, base = null) {
+        if (!local) return remote;
+        if (!remote) return local;
+        if (!base || typeof base !== 'object') {
+            return { ...remote, ...local };
+        }
+
+        const merged = { ...remote };
+        Object.keys({ ...local, ...base }).forEach(field => {
+            if (!this.isEqual(local[field], base[field])) {
+                if (local[field] === undefined) {
+                    delete merged[field];
+                } else {
+                    merged[field] = local[field];
+                }
+            }
+        });
+        return merged;
+    },
+
+    // Build the resolved file content from the diff entries and chosen actions
+    resolve(entries, choices = {}, isArray = true) {
+        const resolved = entries.map(entry => {
+            const choice = choices[entry.id] || entry.defaultChoice;
+            if (choice === 'remote') return entry.remote;
+            if (choice === 'merge') return this.mergeRecord(entry.local, entry.remote, entry.base);
+            return entry.local;
+        });
+
+        return isArray ? resolved.filter(record => record !== null) : (resolved[0] ?? null);
+    }
+};
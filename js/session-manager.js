@@ -0,0 +1,268 @@
+/**
+ * Session Manager
+ *
+ * Keeps the signed-in session and enforces the session policy saved in
+ * settings.json (`session`). "Remember me" logins are kept in localStorage
+ * and last `remember_days`; other logins live in sessionStorage, so they end
+ * when the browser is closed, after `idle_minutes` without activity or
+ * `absolute_hours` after login. A dialog counts down the last minute.
+ *
+ * Open tabs share activity, logins and logouts over a BroadcastChannel, or
+ * storage events where that is not available. sessionStorage belongs to a
+ * single tab, so a new tab asks the others for a session-only login.
+ */
+
+class SessionManager {
+    /*
+     * callbacks.onExpire(message)  the session timed out, end it in this tab
+     * callbacks.onLogout()         another tab logged out
+     * callbacks.onLogin()          another tab logged in or shared its session
+     */
+    constructor(callbacks) {
+        this.callbacks = callbacks;
+        this.session = null;
+        this.lastActivity = Date.now();
+        this.lastAnnounced = 0;
+        this.warning = null;
+        this.pendingDiscovery = null;
+
+        this.channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(SessionManager.CHANNEL) : null;
+        if (this.channel) {
+            this.channel.addEventListener('message', (e) => this.receive(e.data));
+        }
+        window.addEventListener('storage', (e) => {
+            if (!this.channel && e.key === SessionManager.CHANNEL && e.newValue) {
+                this.receive(JSON.parse(e.newValue));
+            }
+        });
+
+        this.recordActivity = this.recordActivity.bind(this);
+        SessionManager.ACTIVITY_EVENTS.forEach(type => {
+            document.addEventListener(type, this.recordActivity, { passive: true });
+        });
+        this.checker = setInterval(() => this.check(), 1000);
+    }
+
+    // Minutes and hours from settings.json, with the schema's defaults
+    policy() {
+        let settings = null;
+        try {
+            settings = JSON.parse(localStorage.getItem('settings') || 'null');
+        } catch (e) {
+            // Invalid settings fall back to the defaults
+        }
+        return DataSchemas.check('settings.json', settings || {}).content.session;
+    }
+
+    post(message) {
+        if (this.channel) {
+            this.channel.postMessage(message);
+            return;
+        }
+        // Only other tabs see storage events; the key is removed right away
+        try {
+            localStorage.setItem(SessionManager.CHANNEL, JSON.stringify({ ...message, nonce: Math.random() }));
+            localStorage.removeItem(SessionManager.CHANNEL);
+        } catch (e) {
+            console.warn('Could not share the session with other tabs:', e);
+        }
+    }
+
+    // The stored session, or null; throws when the stored data is corrupted
+    load() {
+        const stored = sessionStorage.getItem('currentUser');
+        const persisted = stored ? null : localStorage.getItem('currentUser');
+        if (!stored && !persisted) {
+            this.session = null;
+            return null;
+        }
+
+        const session = JSON.parse(stored || persisted);
+        // Sessions from before the policy have no login time; they start now
+        this.session = { ...session, persistent: !stored, loginAt: session.loginAt || Date.now() };
+        return this.session;
+    }
+
+    save(session) {
+        this.session = session;
+        const [keep, drop] = session.persistent ? [localStorage, sessionStorage] : [sessionStorage, localStorage];
+        keep.setItem('currentUser', JSON.stringify(session));
+        drop.removeItem('currentUser');
+    }
+
+    // Called on login; marks the session persistent or session-only and tells the other tabs
+    start(session, persistent) {
+        Object.assign(session, { persistent, loginAt: Date.now() });
+        this.lastActivity = Date.now();
+        this.save(session);
+        this.post({ type: 'login', session });
+    }
+
+    end() {
+        const wasActive = Boolean(this.session);
+        this.session = null;
+        sessionStorage.removeItem('currentUser');
+        localStorage.removeItem('currentUser');
+        this.closeWarning();
+        if (wasActive) {
+            this.post({ type: 'logout' });
+        }
+    }
+
+    // Resolves true when another tab shared its session-only login
+    discover() {
+        if (this.session) return Promise.resolve(true);
+        return new Promise(resolve => {
+            const timer = setTimeout(() => {
+                this.pendingDiscovery = null;
+                resolve(false);
+            }, SessionManager.DISCOVERY_TIMEOUT);
+            this.pendingDiscovery = () => {
+                clearTimeout(timer);
+                this.pendingDiscovery = null;
+                resolve(true);
+            };
+            this.post({ type: 'request' });
+        });
+    }
+
+    receive(message) {
+        switch (message?.type) {
+            case 'activity':
+                this.lastActivity = Math.max(this.lastActivity, message.at);
+                if (this.warning?.reason === 'idle') {
+                    this.closeWarning();
+                }
+                break;
+            case 'login':
+                if (this.session?.email === message.session.email && this.session.loginAt === message.session.loginAt) break;
+                this.lastActivity = Date.now();
+                this.save(message.session);
+                this.callbacks.onLogin();
+                break;
+            case 'logout':
+                if (!this.session) break;
+                this.session = null;
+                sessionStorage.removeItem('currentUser');
+                this.closeWarning();
+                this.callbacks.onLogout();
+                break;
+            case 'request':
+                // Persistent sessions are in localStorage already
+                if (this.session && !this.session.persistent) {
+                    this.post({ type: 'session', session: this.session, lastActivity: this.lastActivity });
+                }
+                break;
+            case 'session':
+                if (this.session || !this.pendingDiscovery) break;
+                this.lastActivity = message.lastActivity;
+                this.save(message.session);
+                this.pendingDiscovery();
+                break;
+        }
+    }
+
+    recordActivity() {
+        // While the warning is open only its button keeps the session alive
+        if (!this.session || this.warning) return;
+        this.lastActivity = Date.now();
+        if (this.lastActivity - this.lastAnnounced > SessionManager.ANNOUNCE_INTERVAL) {
+            this.lastAnnounced = this.lastActivity;
+            this.post({ type: 'activity', at: this.lastActivity });
+        }
+    }
+
+    // When and why the session ends; remembered logins have no idle timeout
+    expiry(session = this.session) {
+        const policy = this.policy();
+        const absolute = session.loginAt + (session.persistent
+            ? policy.remember_days * 24 * 60 * 60 * 1000
+            : policy.absolute_hours * 60 * 60 * 1000);
+        const idle = session.persistent ? Infinity : this.lastActivity + policy.idle_minutes * 60 * 1000;
+        return idle < absolute ? { at: idle, reason: 'idle' } : { at: absolute, reason: 'absolute' };
+    }
+
+    hasExpired(session) {
+        return Date.now() >= this.expiry(session).at;
+    }
+
+    check() {
+        if (!this.session) return;
+
+        const { at, reason } = this.expiry();
+        const remaining = at - Date.now();
+        if (remaining <= 0) {
+            this.end();
+            this.callbacks.onExpire(reason === 'idle'
+                ? 'You were logged out after a period of inactivity.'
+                : 'Your session has reached its maximum length. Please log in again.');
+        } else if (remaining <= SessionManager.WARNING_TIME) {
+            this.showWarning(remaining, reason);
+        } else {
+            this.closeWarning();
+        }
+    }
+
+    showWarning(remaining, reason) {
+        if (!this.warning || this.warning.reason !== reason) {
+            this.closeWarning();
+            const modal = document.createElement('div');
+            modal.className = 'fixed inset-0 bg-black/50 flex items-center justify-center z-50';
+            modal.setAttribute('role', 'alertdialog');
+            modal.innerHTML = `
+                <div class="glass-effect p-6 rounded-xl w-full max-w-md">
+                    <h3 class="text-xl font-bold mb-2">Your Session Is About to End</h3>
+                    <p class="text-sm text-gray-300 mb-4">
+                        ${reason === 'idle'
+                            ? 'You have been inactive for a while. You will be logged out in'
+                            : 'Your session reaches its maximum length and you will need to log in again in'}
+                        <span data-countdown class="font-mono font-bold text-white"></span>.
+                    </p>
+                    <div class="flex justify-end gap-2">
+                        <button type="button" data-action="logout" class="px-4 py-2 bg-white/10 rounded-lg hover:bg-white/20 transition">Log Out</button>
+                        ${reason === 'idle' ? `
+                        <button type="button" data-action="stay" class="px-4 py-2 bg-gradient-to-r from-primary-500 to-purple-500 rounded-lg hover:from-primary-600 hover:to-purple-600 transition">Stay Logged In</button>
+                        ` : ''}
+                    </div>
+                </div>
+            `;
+            document.body.appendChild(modal);
+
+            modal.querySelector('[data-action="logout"]').addEventListener('click', () => {
+                this.end();
+                this.callbacks.onLogout();
+            });
+            modal.querySelector('[data-action="stay"]')?.addEventListener('click', () => {
+                this.closeWarning();
+                this.lastAnnounced = 0;
+                this.recordActivity();
+            });
+            this.warning = { modal, reason };
+        }
+
+        const seconds = Math.ceil(remaining / 1000);
+        this.warning.modal.querySelector('[data-countdown]').textContent =
+            `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    closeWarning() {
+        if (this.warning) {
+            this.warning.modal.remove();
+            this.warning = null;
+        }
+    }
+
+    stop() {
+        clearInterval(this.checker);
+        SessionManager.ACTIVITY_EVENTS.forEach(type => {
+            document.removeEventListener(type, this.recordActivity);
+        });
+        this.channel?.close();
+    }
+}
+
+SessionManager.CHANNEL = 'portfolio-session';
+SessionManager.ACTIVITY_EVENTS = ['mousemove', 'keydown', 'click', 'scroll', 'touchstart'];
+SessionManager.ANNOUNCE_INTERVAL = 10 * 1000;
+SessionManager.WARNING_TIME = 60 * 1000;
+SessionManager.DISCOVERY_TIMEOUT = 500;
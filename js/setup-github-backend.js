@@ -2,21 +2,86 @@
  * GitHub Backend Setup Utility
  * 
  * This script initializes the necessary data files in your GitHub repository
- * to be used as a backend for your portfolio.
+ * to be used as a backend for your portfolio. It also works as a diagnostic
+ * wizard: the health check reports whether each data file exists, is valid
+ * JSON and matches its schema, the dry run lists what would be written, and
+ * initializing repairs malformed files after backing up the originals.
+ * Data saved in the browser while no token was set is merged into the
+ * repository in the same commit, after a per-file merge preview.
  */
 
 class GitHubBackendSetup {
     constructor() {
         this.githubService = window.githubService;
-        this.dataFiles = [
-            { path: 'data/projects.json', defaultContent: [] },
-            { path: 'data/skills.json', defaultContent: [] },
-            { path: 'data/profile.json', defaultContent: this.getDefaultProfile() },
-            { path: 'data/settings.json', defaultContent: this.getDefaultSettings() }
-        ];
+        this.localData = this.loadLocalData();
         this.setupUI();
     }
 
+    // Data file paths follow the configured data folder
+    get dataFiles() {
+        return [
+            { path: this.githubService.dataPath('projects.json'), defaultContent: [] },
+            { path: this.githubService.dataPath('skills.json'), defaultContent: [] },
+            { path: this.githubService.dataPath('profile.json'), defaultContent: this.getDefaultProfile() },
+            { path: this.githubService.dataPath('settings.json'), defaultContent: this.getDefaultSettings() }
+        ];
+    }
+
+    // Data the dashboard kept in localStorage, by data file path; empty values are skipped
+    loadLocalData() {
+        const found = new Map();
+        Object.entries(GitHubBackendSetup.LOCAL_KEYS).forEach(([fileName, key]) => {
+            let stored;
+            try {
+                stored = JSON.parse(localStorage.getItem(key) || 'null');
+            } catch (e) {
+                return;
+            }
+            if (!stored || (Array.isArray(stored) && stored.length === 0)) return;
+            // Also upgrades flat settings saved by older versions
+            const { content } = DataSchemas.check(fileName, stored);
+            found.set(this.githubService.dataPath(fileName), { keys: [key], content });
+        });
+
+        // Older versions kept the profile picture as a data URL of its own
+        const image = localStorage.getItem(GitHubBackendSetup.LOCAL_IMAGE_KEY);
+        if (image) {
+            const path = this.githubService.dataPath('profile.json');
+            const profile = found.get(path);
+            if (!profile) {
+                found.set(path, { keys: [GitHubBackendSetup.LOCAL_IMAGE_KEY], profileImage: image });
+            } else {
+                profile.keys.push(GitHubBackendSetup.LOCAL_IMAGE_KEY);
+                profile.content = { ...profile.content, profileImage: profile.content.profileImage || image };
+            }
+        }
+        return found;
+    }
+
+    /*
+     * Browser data for a data file. A profile picture saved without the rest
+     * of the profile goes into the repository's profile (or the default one).
+     */
+    localContent(file, result) {
+        const local = this.localData.get(file.path);
+        if (!local || local.content !== undefined) return local?.content;
+        return { ...(result.repaired || result.content || file.defaultContent), profileImage: local.profileImage };
+    }
+
+    describeLocalData() {
+        return [...this.localData.entries()].map(([path, { content }]) => {
+            const fileName = DataSchemas.fileName(path);
+            if (content === undefined) return 'a profile picture';
+            if (!Array.isArray(content)) return fileName.replace('.json', '');
+            const noun = fileName === 'projects.json' ? 'project' : 'skill';
+            return `${content.length} ${noun}${content.length === 1 ? '' : 's'}`;
+        }).join(', ');
+    }
+
+    includeLocalData() {
+        return this.localData.size > 0 && document.getElementById('setup-include-local').checked;
+    }
+
     getDefaultProfile() {
         return {
             name: "Bayezid",
@@ -24,7 +89,7 @@ class GitHubBackendSetup {
             bio: "Passionate about data science, machine learning, and web development.",
             location: "Bangladesh",
             email: "hrbayezid@gmail.com",
-            github: "hrbayezid",
+            github: this.githubService.owner,
             linkedin: "your-linkedin"
         };
     }
@@ -50,13 +115,42 @@ class GitHubBackendSetup {
                 <h2 class="text-2xl font-bold mb-6 font-display">GitHub Backend Setup</h2>
                 <p class="mb-6 text-gray-300">
                     This utility will set up your GitHub repository as a backend for your portfolio.
-                    You'll need a GitHub Personal Access Token with repo permissions.
+                    You'll need a classic GitHub Personal Access Token with the repo scope, or a fine-grained one with read and write access to Contents.
                 </p>
 
-                <div id="setup-status" class="mb-6 space-y-2">
+                <div id="setup-status" class="mb-6 space-y-2 max-h-64 overflow-y-auto">
                     <p class="text-primary-400">Ready to initialize GitHub backend...</p>
                 </div>
 
+                <form id="repository-config-form" class="mb-6 grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div>
+                        <label class="block text-sm font-medium mb-2" for="repo-owner">Repository Owner</label>
+                        <input type="text" id="repo-owner" name="owner" required
+                            class="w-full p-3 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 bg-white/10">
+                    </div>
+                    <div>
+                        <label class="block text-sm font-medium mb-2" for="repo-name">Repository Name</label>
+                        <input type="text" id="repo-name" name="repo" required
+                            class="w-full p-3 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 bg-white/10">
+                    </div>
+                    <div>
+                        <label class="block text-sm font-medium mb-2" for="repo-branch">Branch</label>
+                        <input type="text" id="repo-branch" name="branch"
+                            class="w-full p-3 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 bg-white/10"
+                            placeholder="Repository default branch">
+                    </div>
+                    <div>
+                        <label class="block text-sm font-medium mb-2" for="repo-data-folder">Data Folder</label>
+                        <input type="text" id="repo-data-folder" name="dataFolder" required
+                            class="w-full p-3 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 bg-white/10">
+                    </div>
+                    <div class="md:col-span-2">
+                        <button type="submit" id="save-repository-config" class="px-4 py-2 bg-white/10 rounded-lg hover:bg-white/20 transition">
+                            <i class="fas fa-check mr-2"></i>Validate &amp; Save Repository
+                        </button>
+                    </div>
+                </form>
+
                 <div id="token-input-container" class="mb-6">
                     <label class="block text-sm font-medium mb-2" for="github-token">GitHub Personal Access Token</label>
                     <input type="password" id="github-token" 
@@ -68,11 +162,33 @@ class GitHubBackendSetup {
                             Create one here
                         </a>
                     </p>
+                    <button type="button" id="setup-device-signin" class="hidden mt-3 px-4 py-2 bg-white/10 rounded-lg hover:bg-white/20 transition">
+                        <i class="fab fa-github mr-2"></i>Sign in with GitHub instead
+                    </button>
                 </div>
 
-                <div class="flex space-x-3">
+                <div id="setup-local-data" class="hidden mb-6 p-4 rounded-lg bg-white/5 border border-white/10">
+                    <label class="flex items-start gap-3">
+                        <input type="checkbox" id="setup-include-local" class="mt-1" checked>
+                        <span>
+                            <span class="font-medium">Migrate data saved in this browser</span>
+                            <span class="block text-sm text-gray-400">
+                                Found <span id="setup-local-summary"></span>. Initialize &amp; Repair merges it into the repository,
+                                with a preview wherever the repository already has data, and uploads inline images.
+                            </span>
+                        </span>
+                    </label>
+                </div>
+
+                <div class="flex flex-wrap gap-3">
+                    <button id="setup-health-check" class="px-4 py-2 bg-white/10 rounded-lg hover:bg-white/20 transition">
+                        <i class="fas fa-stethoscope mr-2"></i>Health Check
+                    </button>
+                    <button id="setup-dry-run" class="px-4 py-2 bg-white/10 rounded-lg hover:bg-white/20 transition">
+                        <i class="fas fa-list-check mr-2"></i>Dry Run
+                    </button>
                     <button id="setup-button" class="px-4 py-2 bg-gradient-to-r from-primary-500 to-purple-500 rounded-lg hover:from-primary-600 hover:to-purple-600 transition">
-                        Initialize Backend
+                        Initialize &amp; Repair
                     </button>
                     <button id="close-setup" class="px-4 py-2 bg-white/10 rounded-lg hover:bg-white/20 transition">
                         Close
@@ -82,46 +198,295 @@ class GitHubBackendSetup {
         `;
         document.body.appendChild(setupContainer);
 
+        // Prefill the repository settings currently in use
+        const repositoryForm = document.getElementById('repository-config-form');
+        Object.entries(this.githubService.getRepositoryConfig()).forEach(([key, value]) => {
+            repositoryForm.querySelector(`[name="${key}"]`).value = value || '';
+        });
+
+        if (this.localData.size > 0) {
+            document.getElementById('setup-local-summary').textContent = this.describeLocalData();
+            document.getElementById('setup-local-data').classList.remove('hidden');
+        }
+
         // Add event listeners
+        repositoryForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveRepositoryConfig();
+        });
+        document.getElementById('setup-health-check').addEventListener('click', () => this.runHealthCheck());
+        document.getElementById('setup-dry-run').addEventListener('click', () => this.runDryRun());
         document.getElementById('setup-button').addEventListener('click', () => this.initializeBackend());
+        if (window.githubDeviceAuth?.isConfigured()) {
+            const signInButton = document.getElementById('setup-device-signin');
+            signInButton.classList.remove('hidden');
+            signInButton.addEventListener('click', () => this.signInWithDeviceFlow());
+        }
         document.getElementById('close-setup').addEventListener('click', () => setupContainer.remove());
     }
 
-    async initializeBackend() {
-        const statusElement = document.getElementById('setup-status');
-        const token = document.getElementById('github-token').value.trim();
-        
+    async signInWithDeviceFlow() {
+        try {
+            const token = await window.githubDeviceAuth.signIn();
+            if (token) {
+                document.querySelector('#github-backend-setup #github-token').value = token;
+                this.updateStatus('Signed in with GitHub. You can now initialize the backend.', 'success');
+            }
+        } catch (error) {
+            this.updateStatus(`GitHub sign-in failed: ${error.message}`, 'error');
+        }
+    }
+
+    // Reads work without a token for public repositories; writes need one
+    async applyToken({ required = false } = {}) {
+        const token = document.querySelector('#github-backend-setup #github-token').value.trim();
         if (!token) {
-            this.updateStatus('Please enter a GitHub token', 'error');
-            return;
+            if (required) {
+                throw new Error('Please enter a GitHub token');
+            }
+            return null;
+        }
+
+        await this.githubService.setToken(token);
+        this.updateStatus('Validating token...', 'info');
+        const validation = await this.githubService.validateToken();
+        if (!validation.valid) {
+            throw new Error('Invalid GitHub token');
         }
+        this.updateStatus(`Token valid! Authenticated as ${validation.username}`, 'success');
+        if (required && validation.canWrite === false) {
+            throw new Error('The token cannot write to this repository');
+        }
+        return validation;
+    }
+
+    /*
+     * Status of one data file, read straight from storage:
+     * 'ok', 'missing', 'malformed' (not JSON), 'invalid' (schema errors),
+     * 'outdated' (valid, but an older schema version) or 'error'.
+     */
+    async inspectFile(file) {
+        let content;
+        try {
+            content = await this.githubService.adapter.read(file.path);
+        } catch (error) {
+            return { ...file, status: 'error', message: error.message };
+        }
+
+        if (content === null) {
+            return { ...file, status: 'missing', message: 'does not exist' };
+        }
+        // The codec hands back the raw text when a JSON file does not parse
+        if (typeof content === 'string') {
+            return { ...file, status: 'malformed', original: content, message: 'is not valid JSON' };
+        }
+
+        const { content: repaired, issues } = DataSchemas.check(file.path, content);
+        if (issues.length > 0) {
+            return {
+                ...file,
+                status: 'invalid',
+                original: content,
+                repaired,
+                message: `does not match its schema (${issues.map(issue => DataSchemas.describeIssue(issue)).join('; ')})`
+            };
+        }
+        if (!RecordDiff.isEqual(repaired, content)) {
+            return { ...file, status: 'outdated', original: content, repaired, message: 'uses an older schema version' };
+        }
+        return { ...file, status: 'ok', content, message: 'is valid' };
+    }
+
+    backupPath(path, stamp) {
+        return this.githubService.dataPath(`backups/${path.split('/').pop()}.${stamp}.bak`);
+    }
+
+    /*
+     * What initializing would write for each file; files that need nothing
+     * are left out. Browser data replaces the defaults of missing files and
+     * is marked for a merge (`step.local`) into files that already exist.
+     */
+    async buildPlan({ includeLocal = false } = {}) {
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const plan = [];
+        for (const file of this.dataFiles) {
+            this.updateStatus(`Checking ${file.path}...`, 'info');
+            const result = await this.inspectFile(file);
+            const local = includeLocal ? this.localContent(file, result) : undefined;
+            switch (result.status) {
+                case 'missing':
+                    plan.push({ path: file.path, action: 'create', content: file.defaultContent });
+                    break;
+                case 'malformed':
+                    plan.push({ path: file.path, action: 'reset', reason: result.message, backupPath: this.backupPath(file.path, stamp), backup: result.original, content: file.defaultContent });
+                    break;
+                case 'invalid':
+                case 'outdated':
+                    plan.push({ path: file.path, action: result.status === 'invalid' ? 'repair' : 'upgrade', reason: result.message, backupPath: this.backupPath(file.path, stamp), backup: result.original, content: result.repaired });
+                    break;
+                case 'error':
+                    throw new Error(`Could not read ${file.path}: ${result.message}`);
+            }
+            if (local === undefined) continue;
+
+            const step = plan.find(planned => planned.path === file.path);
+            if (step?.action === 'create') {
+                step.content = local;
+                step.fromBrowser = true;
+            } else if (step) {
+                step.local = local;
+            } else if (!RecordDiff.isEqual(local, result.content)) {
+                plan.push({ path: file.path, action: 'merge', local, content: result.content });
+            }
+        }
+        return plan;
+    }
+
+    // Preview each merge; resolves to false if any preview is cancelled
+    async mergeLocalData(plan) {
+        for (const step of plan.filter(planned => planned.local !== undefined)) {
+            if (RecordDiff.isEqual(step.local, step.content)) continue;
+            const merged = await window.dashboard.showConflictDialog({
+                path: step.path,
+                localContent: step.local,
+                remoteContent: step.content,
+                baseContent: null
+            }, {
+                title: 'Migrate Browser Data',
+                intro: 'already exists in the repository. Choose what to keep from the data saved in this browser and from the repository.',
+                mine: 'Browser',
+                theirs: 'Repository',
+                onlyMine: 'Only in this browser',
+                onlyTheirs: 'Only in the repository'
+            });
+            if (merged === null) {
+                return false;
+            }
+            step.content = merged;
+        }
+        return true;
+    }
+
+    // Images saved as data URLs without a token become repository assets
+    async uploadInlineImages(step) {
+        const upload = async (value, folder) => {
+            if (typeof value !== 'string' || !value.startsWith('data:')) return value;
+            this.updateStatus(`Uploading an inline image from ${step.path}...`, 'info');
+            const blob = await (await fetch(value)).blob();
+            return this.githubService.uploadAsset(blob, folder);
+        };
+
+        // Copies, as the content may be shared with the read cache
+        if (Array.isArray(step.content)) {
+            const records = [];
+            for (const record of step.content) {
+                records.push(record.image ? { ...record, image: await upload(record.image, 'projects') } : record);
+            }
+            step.content = records;
+        } else if (step.content?.profileImage) {
+            step.content = { ...step.content, profileImage: await upload(step.content.profileImage, 'profile') };
+        }
+    }
+
+    describeStep(step) {
+        switch (step.action) {
+            case 'create':
+                return `create ${step.path} with ${step.fromBrowser ? 'the data saved in this browser' : 'default content'}`;
+            case 'merge':
+                return `merge the data saved in this browser into ${step.path}, previewed before committing`;
+            case 'reset':
+                return `back up ${step.path} to ${step.backupPath} and replace it with default content, because it ${step.reason}`;
+            case 'repair':
+                return `back up ${step.path} to ${step.backupPath} and remove the invalid entries, because it ${step.reason}${this.describeMerge(step)}`;
+            default:
+                return `back up ${step.path} to ${step.backupPath} and upgrade it to the current schema${this.describeMerge(step)}`;
+        }
+    }
+
+    describeMerge(step) {
+        return step.local !== undefined ? ', then merge the data saved in this browser into it' : '';
+    }
+
+    async runHealthCheck() {
+        this.clearStatus();
+        try {
+            await this.applyToken();
+            let healthy = 0;
+            for (const file of this.dataFiles) {
+                const result = await this.inspectFile(file);
+                const type = { ok: 'success', outdated: 'warning', missing: 'warning' }[result.status] || 'error';
+                this.updateStatus(`${file.path} ${result.message}`, type);
+                if (result.status === 'ok') healthy++;
+            }
+            this.updateStatus(
+                healthy === this.dataFiles.length
+                    ? 'All data files are healthy.'
+                    : 'Run a dry run to see how Initialize & Repair would fix the files above.',
+                healthy === this.dataFiles.length ? 'success' : 'info'
+            );
+        } catch (error) {
+            this.updateStatus(`Health check failed: ${error.message}`, 'error');
+        }
+    }
+
+    async runDryRun() {
+        this.clearStatus();
+        try {
+            await this.applyToken();
+            const plan = await this.buildPlan({ includeLocal: this.includeLocalData() });
+            if (plan.length === 0) {
+                this.updateStatus('Nothing to do, every data file exists and is valid.', 'success');
+                return;
+            }
+            this.updateStatus(`Dry run, nothing was written. Initialize & Repair would, in one commit:`, 'info');
+            plan.forEach(step => this.updateStatus(`• ${this.describeStep(step)}`, ['create', 'merge'].includes(step.action) ? 'info' : 'warning'));
+        } catch (error) {
+            this.updateStatus(`Dry run failed: ${error.message}`, 'error');
+        }
+    }
+
+    async initializeBackend() {
+        const statusElement = document.getElementById('setup-status');
+        this.clearStatus();
         
         try {
-            // Set and validate token
-            await this.githubService.setToken(token);
-            this.updateStatus('Validating token...', 'info');
+            await this.applyToken({ required: true });
             
-            const validation = await this.githubService.validateToken();
-            if (!validation.valid) {
-                throw new Error('Invalid GitHub token');
+            // Backups and fixes go into a single commit, so a repair never half-applies
+            const includeLocal = this.includeLocalData();
+            const plan = await this.buildPlan({ includeLocal });
+            if (!(await this.mergeLocalData(plan))) {
+                throw new Error('Migration cancelled. No changes were committed.');
             }
-            
-            this.updateStatus(`Token valid! Authenticated as ${validation.username}`, 'success');
-            
-            // Initialize each data file
-            for (const file of this.dataFiles) {
-                this.updateStatus(`Creating ${file.path}...`, 'info');
-                try {
-                    const exists = await this.checkFileExists(file.path);
-                    if (exists) {
-                        this.updateStatus(`${file.path} already exists, skipping`, 'info');
-                    } else {
-                        await this.githubService.createFile(file.path, file.defaultContent);
-                        this.updateStatus(`Created ${file.path}`, 'success');
-                    }
-                } catch (error) {
-                    this.updateStatus(`Error creating ${file.path}: ${error.message}`, 'error');
+            for (const step of plan.filter(planned => planned.fromBrowser || planned.local !== undefined)) {
+                await this.uploadInlineImages(step);
+            }
+
+            const changeset = this.githubService.createChangeset('Initialize and repair portfolio data files');
+            plan.forEach(step => {
+                if (step.backupPath) {
+                    changeset.stage(step.backupPath, step.backup);
+                }
+                // Entries set aside when the file was read are dropped by the repair
+                this.githubService.dataIssues.delete(step.path);
+                changeset.stage(step.path, step.content);
+            });
+
+            if (changeset.size > 0) {
+                this.updateStatus(`Writing ${changeset.size} file(s) in one commit...`, 'info');
+                const committed = await changeset.commit();
+                if (!committed) {
+                    throw new Error('Could not write the data files. No changes were committed.');
                 }
+                plan.forEach(step => {
+                    this.githubService.announceDataIssues(step.path);
+                    this.updateStatus(`Done: ${this.describeStep(step)}`, 'success');
+                });
+                if (includeLocal) {
+                    this.clearLocalData();
+                }
+            } else {
+                this.updateStatus('Every data file exists and is valid, nothing to change.', 'info');
             }
             
             this.updateStatus('GitHub backend setup complete!', 'success');
@@ -144,15 +509,50 @@ class GitHubBackendSetup {
         }
     }
     
-    async checkFileExists(path) {
+    async saveRepositoryConfig() {
+        const form = document.getElementById('repository-config-form');
+        const config = Object.fromEntries(new FormData(form).entries());
+        const token = document.querySelector('#github-backend-setup #github-token').value.trim();
+        const saveButton = document.getElementById('save-repository-config');
+
+        // Private repositories can only be validated with a token
+        if (token) {
+            await this.githubService.setToken(token);
+        }
+
+        saveButton.disabled = true;
+        this.updateStatus(`Validating ${config.owner}/${config.repo}...`, 'info');
         try {
-            const data = await this.githubService.getFileContent(path);
-            return data !== null;
+            const result = await this.githubService.saveRepositoryConfig(config);
+            if (!result.valid) {
+                result.errors.forEach(error => this.updateStatus(error, 'error'));
+                return;
+            }
+
+            const { branch } = this.githubService.getRepositoryConfig();
+            this.updateStatus(
+                `Repository settings saved: ${config.owner}/${config.repo} on ${branch || `${result.defaultBranch} (default)`}`,
+                'success'
+            );
         } catch (error) {
-            return false;
+            this.updateStatus(`Could not validate repository: ${error.message}`, 'error');
+        } finally {
+            saveButton.disabled = false;
         }
     }
 
+    // The repository now holds the browser data, so the copies would only be migrated again
+    clearLocalData() {
+        this.localData.forEach(({ keys }) => keys.forEach(key => localStorage.removeItem(key)));
+        this.localData.clear();
+        document.getElementById('setup-local-data').classList.add('hidden');
+        this.updateStatus('Removed the migrated copies from this browser.', 'info');
+    }
+
+    clearStatus() {
+        document.getElementById('setup-status').innerHTML = '';
+    }
+
     updateStatus(message, type = 'info') {
         const statusElement = document.getElementById('setup-status');
         const statusItem = document.createElement('p');
@@ -165,6 +565,9 @@ class GitHubBackendSetup {
             case 'success':
                 statusItem.className = 'text-green-400';
                 break;
+            case 'warning':
+                statusItem.className = 'text-yellow-400';
+                break;
             case 'info':
             default:
                 statusItem.className = 'text-gray-300';
@@ -175,15 +578,25 @@ class GitHubBackendSetup {
     }
 }
 
+// Data file -> localStorage key the dashboard falls back to without a token
+GitHubBackendSetup.LOCAL_KEYS = {
+    'projects.json': 'projects',
+    'skills.json': 'skills',
+    'profile.json': 'profile',
+    'settings.json': 'settings'
+};
+GitHubBackendSetup.LOCAL_IMAGE_KEY = 'profileImage';
+
 // Add a setup link to the dashboard
 document.addEventListener('DOMContentLoaded', () => {
-    // Check if dashboard exists and user is an admin
+    // Check if dashboard exists; only roles with backend:manage see the links
     const dashboardMenu = document.getElementById('dashboard-menu');
     if (dashboardMenu) {
         const setupLink = document.createElement('a');
         setupLink.href = '#';
         setupLink.className = 'block px-4 py-2 text-gray-300 hover:bg-white/10 hover:text-white transition';
         setupLink.innerHTML = '<i class="fas fa-cloud-upload-alt mr-2"></i>Setup GitHub Backend';
+        setupLink.dataset.permission = 'backend:manage';
         setupLink.addEventListener('click', (e) => {
             e.preventDefault();
             new GitHubBackendSetup();
@@ -196,6 +609,7 @@ document.addEventListener('DOMContentLoaded', () => {
     if (profileTab) {
         const setupContainer = document.createElement('div');
         setupContainer.className = 'mt-8 pt-8 border-t border-gray-700';
+        setupContainer.dataset.permission = 'backend:manage';
         setupContainer.innerHTML = `
             <h3 class="text-xl font-bold mb-4">GitHub Backend</h3>
             <p class="mb-4 text-gray-300">
@@ -211,4 +625,7 @@ document.addEventListener('DOMContentLoaded', () => {
             new GitHubBackendSetup();
         });
     }
+
+    // The links are added after AuthManager applied the current role
+    window.authManager?.applyPermissions();
 }); 
\ No newline at end of file
@@ -0,0 +1,210 @@
+/**
+ * Skill Suggestions
+ *
+ * Proposes skills from the language statistics of the owner's GitHub
+ * repositories. Each language gets a suggested proficiency from its share of
+ * the code, how recently it was pushed and in how many repositories it
+ * appears; the admin accepts, adjusts or ignores each suggestion in the
+ * Skills tab. Ignored languages are remembered in the browser.
+ */
+
+class SkillSuggestions {
+    constructor(skillsManager) {
+        this.skillsManager = skillsManager;
+        this.panel = document.getElementById('skill-suggestions');
+        this.list = document.getElementById('skill-suggestions-list');
+        this.status = document.getElementById('skill-suggestions-status');
+        this.suggestions = [];
+        this.init();
+    }
+
+    init() {
+        if (!this.panel) return;
+
+        document.getElementById('suggest-skills-btn')?.addEventListener('click', () => this.load());
+        document.getElementById('skill-suggestions-close').addEventListener('click', () => this.panel.classList.add('hidden'));
+        document.getElementById('skill-suggestions-accept-all').addEventListener('click', () => this.acceptAll());
+
+        this.list.addEventListener('input', (e) => {
+            if (e.target.name === 'proficiency') {
+                e.target.closest('[data-suggestion]').querySelector('.suggestion-proficiency').textContent = `${e.target.value}%`;
+            }
+        });
+        this.list.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+            const row = button.closest('[data-suggestion]');
+            if (button.dataset.action === 'accept') {
+                this.accept([row]);
+            } else {
+                this.ignore(row.dataset.suggestion);
+            }
+        });
+    }
+
+    static loadIgnored() {
+        try {
+            return JSON.parse(localStorage.getItem('skill_suggestions_ignored') || '[]');
+        } catch (e) {
+            return [];
+        }
+    }
+
+    // Sum language bytes over the most recently pushed repositories, forks excluded
+    static async languageStats(service, maxRepos = SkillSuggestions.MAX_REPOS) {
+        const repos = (await service.listOwnerRepositories())
+            .filter(repo => !repo.fork)
+            .sort((a, b) => new Date(b.pushedAt) - new Date(a.pushedAt))
+            .slice(0, maxRepos);
+
+        const stats = new Map();
+        for (const repo of repos) {
+            const languages = await service.getRepositoryLanguages(repo.fullName);
+            Object.entries(languages).forEach(([language, bytes]) => {
+                const entry = stats.get(language) || { language, bytes: 0, repos: 0, lastUsed: null };
+                entry.bytes += bytes;
+                entry.repos++;
+                if (!entry.lastUsed || new Date(repo.pushedAt) > new Date(entry.lastUsed)) {
+                    entry.lastUsed = repo.pushedAt;
+                }
+                stats.set(language, entry);
+            });
+        }
+        return { repoCount: repos.length, languages: [...stats.values()] };
+    }
+
+    /*
+     * Proficiency blends usage relative to the most used language (square
+     * root, so smaller languages are not flattened), recency (fading out over
+     * three years) and breadth (up to five repositories), scaled to 10-95.
+     */
+    static suggest({ languages }, existingNames = [], ignored = []) {
+        const totalBytes = languages.reduce((sum, entry) => sum + entry.bytes, 0);
+        const maxBytes = Math.max(0, ...languages.map(entry => entry.bytes));
+        const skip = new Set([...existingNames, ...ignored].map(name => name.toLowerCase()));
+        const now = Date.now();
+
+        return languages
+            .filter(entry => !skip.has(entry.language.toLowerCase()))
+            .map(entry => {
+                const share = totalBytes ? entry.bytes / totalBytes : 0;
+                const months = entry.lastUsed ? (now - new Date(entry.lastUsed)) / (30 * 24 * 60 * 60 * 1000) : 36;
+                const usage = maxBytes ? Math.sqrt(entry.bytes / maxBytes) : 0;
+                const recency = Math.max(0, 1 - months / 36);
+                const breadth = Math.min(1, entry.repos / 5);
+                const score = 0.5 * usage + 0.3 * recency + 0.2 * breadth;
+                return {
+                    name: entry.language,
+                    category: SkillSuggestions.LANGUAGE_CATEGORIES[entry.language] || 'programming-languages',
+                    proficiency: Math.min(95, Math.max(10, Math.round((10 + score * 85) / 5) * 5)),
+                    share,
+                    repos: entry.repos,
+                    lastUsed: entry.lastUsed
+                };
+            })
+            // Drop incidental languages, e.g. a build script in one repository
+            .filter(suggestion => suggestion.share >= 0.01 || suggestion.repos >= 2)
+            .sort((a, b) => b.share - a.share)
+            .slice(0, SkillSuggestions.MAX_SUGGESTIONS);
+    }
+
+    async load() {
+        this.panel.classList.remove('hidden');
+        this.list.innerHTML = '';
+        this.status.innerHTML = '<i class="fas fa-spinner fa-spin mr-2"></i>Reading language statistics from GitHub...';
+
+        try {
+            const stats = await SkillSuggestions.languageStats(window.githubService);
+            const existing = this.skillsManager.skills.map(skill => skill.name);
+            this.suggestions = SkillSuggestions.suggest(stats, existing, SkillSuggestions.loadIgnored());
+            this.status.textContent = this.suggestions.length > 0
+                ? `Based on ${stats.repoCount} repositor${stats.repoCount === 1 ? 'y' : 'ies'} of ${window.githubService.owner}. Adjust and accept the skills you want to show.`
+                : 'No new skills to suggest. Every language found is already listed or ignored.';
+            this.render();
+        } catch (error) {
+            console.error('Failed to suggest skills:', error);
+            this.status.textContent = `Could not read repository languages: ${error.message}`;
+        }
+    }
+
+    describe(suggestion) {
+        const parts = [`${(suggestion.share * 100).toFixed(suggestion.share < 0.1 ? 1 : 0)}% of code`];
+        parts.push(`${suggestion.repos} repo${suggestion.repos === 1 ? '' : 's'}`);
+        if (suggestion.lastUsed) {
+            parts.push(`last pushed ${new Date(suggestion.lastUsed).toLocaleDateString()}`);
+        }
+        return parts.join(' · ');
+    }
+
+    render() {
+        document.getElementById('skill-suggestions-accept-all').classList.toggle('hidden', this.suggestions.length === 0);
+        this.list.innerHTML = this.suggestions.map(suggestion => `
+            <div data-suggestion="${utils.escapeHtml(suggestion.name)}" class="flex flex-wrap items-center gap-4 p-3 bg-white/5 rounded-lg">
+                <div class="flex-1 min-w-[10rem]">
+                    <p class="font-medium">${utils.escapeHtml(suggestion.name)}</p>
+                    <p class="text-xs text-gray-400">${this.describe(suggestion)}</p>
+                </div>
+                <select name="category" class="p-2 bg-white/10 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 text-white">
+                    ${Object.entries(SkillsManager.CATEGORIES).map(([value, label]) => `
+                    <option value="${value}" ${suggestion.category === value ? 'selected' : ''}>${label}</option>`).join('')}
+                </select>
+                <div class="flex items-center gap-2">
+                    <input type="range" name="proficiency" min="0" max="100" value="${suggestion.proficiency}" class="w-28" aria-label="Proficiency">
+                    <span class="suggestion-proficiency text-sm text-gray-400 w-10">${suggestion.proficiency}%</span>
+                </div>
+                <div class="flex gap-2">
+                    <button type="button" data-action="accept" class="px-3 py-1 bg-gradient-to-r from-primary-500 to-purple-500 rounded-lg hover:from-primary-600 hover:to-purple-600 transition text-sm">Accept</button>
+                    <button type="button" data-action="ignore" class="px-3 py-1 bg-white/10 rounded-lg hover:bg-white/20 transition text-sm">Ignore</button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    remove(names) {
+        this.suggestions = this.suggestions.filter(suggestion => !names.includes(suggestion.name));
+        this.render();
+        if (this.suggestions.length === 0) {
+            this.panel.classList.add('hidden');
+        }
+    }
+
+    async accept(rows) {
+        const skills = rows.map(row => ({
+            name: row.dataset.suggestion,
+            category: row.querySelector('select[name="category"]').value,
+            proficiency: Number(row.querySelector('input[name="proficiency"]').value)
+        }));
+        await this.skillsManager.addSkills(skills);
+        this.remove(skills.map(skill => skill.name));
+        window.dashboard.showSuccessMessage(`Added ${skills.length} skill${skills.length === 1 ? '' : 's'}.`);
+    }
+
+    acceptAll() {
+        return this.accept([...this.list.querySelectorAll('[data-suggestion]')]);
+    }
+
+    ignore(name) {
+        const ignored = SkillSuggestions.loadIgnored();
+        localStorage.setItem('skill_suggestions_ignored', JSON.stringify([...new Set([...ignored, name])]));
+        this.remove([name]);
+    }
+}
+
+SkillSuggestions.MAX_REPOS = 30;
+SkillSuggestions.MAX_SUGGESTIONS = 12;
+
+// Languages that belong somewhere other than "Programming Languages"
+SkillSuggestions.LANGUAGE_CATEGORIES = {
+    'HTML': 'web-development',
+    'CSS': 'web-development',
+    'SCSS': 'web-development',
+    'Less': 'web-development',
+    'Vue': 'web-development',
+    'Svelte': 'web-development',
+    'Astro': 'web-development',
+    'Jupyter Notebook': 'data-science-tools',
+    'TSQL': 'sql-database',
+    'PLpgSQL': 'sql-database',
+    'PLSQL': 'sql-database',
+    'SQL': 'sql-database'
+};
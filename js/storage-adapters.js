@@ -0,0 +1,512 @@
+/**
+ * Storage Adapters
+ *
+ * GitHubService delegates every file read and write to one of these adapters,
+ * so the portfolio data can live in the GitHub repository, in the browser, or
+ * behind any REST endpoint (e.g. a local mock backend during development).
+ *
+ * Adapter contract:
+ *   read(path)                    -> parsed content, or null if the file is missing
+ *   write(path, content, options) -> resolves when stored, throws on failure
+ *   remove(path, options)         -> resolves when removed, throws on failure
+ *   canWrite()                    -> whether writes are currently possible
+ *
+ * Adapters that can serve binary files by URL also implement supportsAssets(),
+ * writeAsset(path, blob), listFiles(prefix) and assetUrl(path).
+ */
+
+class StorageAdapter {
+    constructor(options = {}) {
+        this.options = options;
+    }
+
+    get id() {
+        return this.constructor.id;
+    }
+
+    canWrite() {
+        return true;
+    }
+
+    assertWritable(action = 'updating') {
+        if (!this.canWrite()) {
+            throw new Error(`Storage provider "${this.id}" is not writable. Cannot perform ${action}.`);
+        }
+    }
+
+    // Text form of the content for stores that only hold strings; binary files are base64
+    serialize(content, path = '') {
+        return ContentCodec.kind(path) === 'binary'
+            ? ContentCodec.toBase64(content)
+            : ContentCodec.stringify(content);
+    }
+
+    parse(text, path = '') {
+        return ContentCodec.kind(path) === 'binary'
+            ? ContentCodec.fromBase64(path, text)
+            : ContentCodec.parseText(path, text);
+    }
+
+    async read(path) {
+        throw new Error(`${this.constructor.name} does not implement read()`);
+    }
+
+    async write(path, content, options = {}) {
+        throw new Error(`${this.constructor.name} does not implement write()`);
+    }
+
+    async remove(path, options = {}) {
+        throw new Error(`${this.constructor.name} does not implement remove()`);
+    }
+
+    supportsAssets() {
+        return false;
+    }
+
+    async writeAsset(path, blob, options = {}) {
+        throw new Error(`${this.constructor.name} does not support assets`);
+    }
+
+    async listFiles(prefix) {
+        throw new Error(`${this.constructor.name} does not support listing files`);
+    }
+
+    assetUrl(path) {
+        return path;
+    }
+
+    // Adapters without transactions apply the changes one at a time
+    async commit(changes, options = {}) {
+        for (const change of changes) {
+            if (change.delete) {
+                await this.remove(change.path, options);
+            } else {
+                await this.write(change.path, change.content, options);
+            }
+        }
+    }
+}
+
+// Reads and writes files in the repository through the GitHub Contents API
+class GitHubContentsAdapter extends StorageAdapter {
+    static id = 'github';
+    static label = 'GitHub repository';
+
+    constructor(service, options = {}) {
+        super(options);
+        this.service = service;
+    }
+
+    canWrite() {
+        return Boolean(this.service.token);
+    }
+
+    assertWritable(action = 'updating') {
+        if (!this.canWrite()) {
+            throw new Error(`GitHub token not set. Authentication required for ${action} files.`);
+        }
+    }
+
+    getHeaders(extra = {}) {
+        return this.service.getHeaders(extra);
+    }
+
+    contentsUrl(path, ref = this.service.workingBranch) {
+        const { apiBaseUrl, owner, repo } = this.service;
+        return `${apiBaseUrl}/repos/${owner}/${repo}/contents/${path}${ref ? `?ref=${encodeURIComponent(ref)}` : ''}`;
+    }
+
+    async read(path) {
+        // Use raw content URL for public files if no token
+        if (!this.service.token) {
+            try {
+                // HEAD resolves to the default branch when none is configured
+                const { owner, repo, workingBranch } = this.service;
+                const rawResponse = await this.service.fetch(`https://raw.githubusercontent.com/${owner}/${repo}/${workingBranch || 'HEAD'}/${path}`);
+                if (rawResponse.ok) {
+                    return ContentCodec.decode(path, await rawResponse.arrayBuffer());
+                }
+            } catch (e) {
+                console.warn('Could not fetch from raw GitHub, falling back to API', e);
+            }
+        }
+
+        const response = await this.service.fetch(this.contentsUrl(path), {
+            headers: this.getHeaders()
+        });
+
+        if (!response.ok) {
+            if (response.status === 404) {
+                console.warn(`File ${path} not found`);
+                this.service.rememberVersion(path, null, null);
+                return null;
+            }
+            throw await this.service.errorFromResponse(response);
+        }
+
+        const data = await response.json();
+        const content = ContentCodec.fromBase64(path, data.content);
+        this.service.rememberVersion(path, data.sha, content);
+        return content;
+    }
+
+    // Latest version of a file at a ref (defaults to the configured branch)
+    async fetchRemote(path, ref = this.service.workingBranch) {
+        const response = await this.service.fetch(this.contentsUrl(path, ref), {
+            headers: this.getHeaders()
+        });
+        if (response.status === 404) {
+            return { sha: null, content: null };
+        }
+        if (!response.ok) {
+            throw await this.service.errorFromResponse(response);
+        }
+        const data = await response.json();
+        return { sha: data.sha, content: ContentCodec.fromBase64(path, data.content) };
+    }
+
+    async conflictError(path, localContent, remote = null) {
+        const latest = remote || await this.fetchRemote(path);
+        return new GitHubConflictError({
+            path,
+            localContent,
+            remoteContent: latest.content,
+            remoteSha: latest.sha,
+            baseContent: this.service.getLoadedVersion(path)?.content ?? null
+        });
+    }
+
+    async getSha(path) {
+        try {
+            const response = await this.service.fetch(this.contentsUrl(path), {
+                headers: this.getHeaders()
+            });
+            if (!response.ok) {
+                return null;
+            }
+            const data = await response.json();
+            return data.sha || null;
+        } catch (error) {
+            // File doesn't exist yet, that's ok
+            return null;
+        }
+    }
+
+    async write(path, content, options = {}) {
+        this.assertWritable(options.create ? 'creating' : 'updating');
+
+        // Write against the version the data was loaded from, so edits made
+        // elsewhere in the meantime are detected instead of overwritten
+        const loaded = this.service.getLoadedVersion(path);
+        let sha = null;
+        if (!options.create) {
+            sha = loaded ? loaded.sha : await this.getSha(path);
+        }
+        const message = options.message || `${sha ? 'Update' : 'Create'} ${path}`;
+
+        const response = await this.service.fetch(this.contentsUrl(path), {
+            method: 'PUT',
+            headers: this.getHeaders({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify({
+                message,
+                content: ContentCodec.toBase64(content),
+                ...(this.service.workingBranch ? { branch: this.service.workingBranch } : {}),
+                ...(sha ? { sha } : {})
+            })
+        });
+
+        // 409: sha is stale, 422: file was created elsewhere after we saw it missing
+        if (response.status === 409 || (response.status === 422 && loaded && !loaded.sha)) {
+            throw await this.conflictError(path, content);
+        }
+
+        if (!response.ok) {
+            throw await this.service.errorFromResponse(response);
+        }
+
+        const result = await response.json();
+        this.service.rememberVersion(path, result.content.sha, content);
+    }
+
+    async remove(path, options = {}) {
+        this.assertWritable('deleting');
+
+        const sha = await this.getSha(path);
+        if (!sha) {
+            throw new Error(`File not found: ${path}`);
+        }
+
+        const response = await this.service.fetch(this.contentsUrl(path), {
+            method: 'DELETE',
+            headers: this.getHeaders({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify({
+                message: options.message || `Delete ${path}`,
+                ...(this.service.workingBranch ? { branch: this.service.workingBranch } : {}),
+                sha
+            })
+        });
+
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(`Failed to delete file: ${error.message}`);
+        }
+        this.service.rememberVersion(path, null, null);
+    }
+
+    supportsAssets() {
+        return true;
+    }
+
+    async writeAsset(path, blob, options = {}) {
+        this.assertWritable('uploading');
+
+        // Asset names are content hashes, so an existing file is already identical
+        if (await this.getSha(path)) {
+            return;
+        }
+
+        const response = await this.service.fetch(this.contentsUrl(path), {
+            method: 'PUT',
+            headers: this.getHeaders({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify({
+                message: options.message || `Upload ${path}`,
+                content: ContentCodec.toBase64(await blob.arrayBuffer()),
+                ...(this.service.workingBranch ? { branch: this.service.workingBranch } : {})
+            })
+        });
+
+        if (!response.ok) {
+            throw await this.service.errorFromResponse(response);
+        }
+    }
+
+    async listFiles(prefix) {
+        const branch = await this.service.getBranch();
+        const tree = await this.service.request(this.service.repoApiPath(`/git/trees/${encodeURIComponent(branch)}?recursive=1`));
+        return tree.tree
+            .filter(item => item.type === 'blob' && item.path.startsWith(prefix))
+            .map(item => item.path);
+    }
+
+    assetUrl(path) {
+        const { owner, repo, workingBranch } = this.service;
+        return `https://raw.githubusercontent.com/${owner}/${repo}/${workingBranch || 'HEAD'}/${path}`;
+    }
+
+    // Commits all changes as a single tree/commit/ref update via the Git Data API
+    async commit(changes, options = {}) {
+        this.assertWritable('committing');
+
+        const service = this.service;
+        const branch = await service.getBranch();
+
+        const tree = await Promise.all(changes.map(async change => {
+            if (change.delete) {
+                return { path: change.path, mode: '100644', type: 'blob', sha: null };
+            }
+            const blob = await service.request(service.repoApiPath('/git/blobs'), {
+                method: 'POST',
+                body: { content: ContentCodec.toBase64(change.content), encoding: 'base64' }
+            });
+            return { path: change.path, mode: '100644', type: 'blob', sha: blob.sha };
+        }));
+
+        // Rebuild on top of the new head if the branch moved while we were committing
+        for (let attempt = 1; ; attempt++) {
+            const ref = await service.request(service.repoApiPath(`/git/ref/heads/${branch}`));
+            const parent = await service.request(service.repoApiPath(`/git/commits/${ref.object.sha}`));
+
+            // Refuse to commit over files that changed since they were loaded
+            for (const change of changes) {
+                const loaded = service.getLoadedVersion(change.path);
+                if (!loaded) continue;
+                const remote = await this.fetchRemote(change.path, parent.sha);
+                if (remote.sha !== loaded.sha) {
+                    throw await this.conflictError(change.path, change.content, remote);
+                }
+            }
+
+            const newTree = await service.request(service.repoApiPath('/git/trees'), {
+                method: 'POST',
+                body: { base_tree: parent.tree.sha, tree }
+            });
+            const commit = await service.request(service.repoApiPath('/git/commits'), {
+                method: 'POST',
+                body: { message: options.message, tree: newTree.sha, parents: [parent.sha] }
+            });
+
+            try {
+                await service.request(service.repoApiPath(`/git/refs/heads/${branch}`), {
+                    method: 'PATCH',
+                    body: { sha: commit.sha, force: false }
+                });
+                changes.forEach((change, index) => {
+                    service.rememberVersion(change.path, tree[index].sha, change.delete ? null : change.content);
+                });
+                return commit;
+            } catch (error) {
+                if (error.status !== 422 || attempt >= 3) {
+                    throw error;
+                }
+            }
+        }
+    }
+}
+
+// Keeps files in this browser's localStorage, one key per path
+class LocalStorageAdapter extends StorageAdapter {
+    static id = 'local';
+    static label = 'Browser storage (localStorage)';
+
+    constructor(options = {}) {
+        super(options);
+        this.keyPrefix = options.keyPrefix ?? 'portfolio_file:';
+    }
+
+    key(path) {
+        return `${this.keyPrefix}${path}`;
+    }
+
+    async read(path) {
+        const stored = localStorage.getItem(this.key(path));
+        return stored === null ? null : this.parse(stored, path);
+    }
+
+    async write(path, content) {
+        localStorage.setItem(this.key(path), this.serialize(content, path));
+    }
+
+    async remove(path) {
+        localStorage.removeItem(this.key(path));
+    }
+}
+
+// Keeps files in an IndexedDB database, for data too large for localStorage
+class IndexedDBAdapter extends StorageAdapter {
+    static id = 'indexeddb';
+    static label = 'Browser database (IndexedDB)';
+
+    constructor(options = {}) {
+        super(options);
+        this.store = new IdbStore(options.dbName || 'portfolio-storage', 'files');
+    }
+
+    canWrite() {
+        return IdbStore.isSupported();
+    }
+
+    async read(path) {
+        const record = await this.store.get(path);
+        return record ? this.parse(record.content, path) : null;
+    }
+
+    async write(path, content) {
+        await this.store.set(path, {
+            content: this.serialize(content, path),
+            updatedAt: new Date().toISOString()
+        });
+    }
+
+    async remove(path) {
+        await this.store.delete(path);
+    }
+}
+
+/*
+ * Talks to a plain REST endpoint, one resource per file path:
+ *   GET    {baseUrl}/{path}  -> file body (404 when missing)
+ *   PUT    {baseUrl}/{path}  -> store the request body
+ *   DELETE {baseUrl}/{path}  -> remove the file
+ * A commit message, when given, is sent in the X-Commit-Message header.
+ */
+class RestAdapter extends StorageAdapter {
+    static id = 'rest';
+    static label = 'REST endpoint';
+
+    constructor(options = {}) {
+        super(options);
+        this.baseUrl = (options.baseUrl || '').replace(/\/+$/, '');
+        this.authToken = options.authToken || null;
+    }
+
+    canWrite() {
+        return Boolean(this.baseUrl);
+    }
+
+    url(path) {
+        return `${this.baseUrl}/${path.replace(/^\/+/, '')}`;
+    }
+
+    getHeaders(extra = {}) {
+        const headers = { ...extra };
+        if (this.authToken) {
+            headers['Authorization'] = `Bearer ${this.authToken}`;
+        }
+        return headers;
+    }
+
+    async read(path) {
+        if (!this.baseUrl) {
+            throw new Error('REST storage base URL is not configured');
+        }
+
+        const response = await fetch(this.url(path), { headers: this.getHeaders() });
+        if (response.status === 404) {
+            return null;
+        }
+        if (!response.ok) {
+            throw new Error(`Failed to fetch ${path}: ${response.status} ${response.statusText}`);
+        }
+        return ContentCodec.decode(path, await response.arrayBuffer());
+    }
+
+    async write(path, content, options = {}) {
+        this.assertWritable(options.create ? 'creating' : 'updating');
+
+        const response = await fetch(this.url(path), {
+            method: 'PUT',
+            headers: this.getHeaders({
+                'Content-Type': ContentCodec.mimeType(path),
+                ...(options.message ? { 'X-Commit-Message': options.message } : {})
+            }),
+            body: ContentCodec.toBytes(content)
+        });
+
+        if (!response.ok) {
+            throw new Error(`Failed to save ${path}: ${response.status} ${response.statusText}`);
+        }
+    }
+
+    async remove(path, options = {}) {
+        this.assertWritable('deleting');
+
+        const response = await fetch(this.url(path), {
+            method: 'DELETE',
+            headers: this.getHeaders(options.message ? { 'X-Commit-Message': options.message } : {})
+        });
+
+        if (!response.ok && response.status !== 404) {
+            throw new Error(`Failed to delete ${path}: ${response.status} ${response.statusText}`);
+        }
+    }
+}
+
+const StorageAdapters = {
+    registry: {
+        [GitHubContentsAdapter.id]: GitHubContentsAdapter,
+        [LocalStorageAdapter.id]: LocalStorageAdapter,
+        [IndexedDBAdapter.id]: IndexedDBAdapter,
+        [RestAdapter.id]: RestAdapter
+    },
+
+    list() {
+        return Object.values(this.registry).map(Adapter => ({ id: Adapter.id, label: Adapter.label }));
+    },
+
+    create(id, service, options = {}) {
+        const Adapter = this.registry[id] || GitHubContentsAdapter;
+        return Adapter === GitHubContentsAdapter
+            ? new GitHubContentsAdapter(service, options)
+            : new Adapter(options);
+    }
+};
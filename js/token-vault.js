@@ -0,0 +1,142 @@
+/**
+ * Token Vault
+ *
+ * Keeps GitHub tokens and other secrets encrypted at rest. Each user's
+ * secrets live in localStorage under `token_vault_<email>`, encrypted with an
+ * AES-GCM key derived from their password at login. Secrets are only ever
+ * decrypted into memory.
+ *
+ * The derived key itself is non-extractable and only kept in memory, so
+ * after a reload the password is needed again to unlock the vault. lock()
+ * drops it on logout or session expiry.
+ */
+
+class TokenVault {
+    constructor() {
+        this.key = null;
+        this.email = null;
+        this.salt = null;
+    }
+
+    storageKey(email) {
+        return `token_vault_${email}`;
+    }
+
+    readRecord(email = this.email) {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey(email)) || 'null');
+        } catch (e) {
+            return null;
+        }
+    }
+
+    writeRecord(record) {
+        localStorage.setItem(this.storageKey(this.email), JSON.stringify(record));
+    }
+
+    isUnlocked() {
+        return Boolean(this.key);
+    }
+
+    announce(type) {
+        window.dispatchEvent(new CustomEvent(`token-vault-${type}`, { detail: { email: this.email } }));
+    }
+
+    // Derive the user's key from their password; call after the password was verified
+    async unlock(email, password) {
+        const record = this.readRecord(email);
+        this.salt = record ? CryptoUtils.fromBase64(record.salt) : CryptoUtils.randomBytes(16);
+        this.key = await CryptoUtils.deriveKey(password, this.salt);
+        this.email = email;
+        await this.migrateLegacyToken();
+        this.announce('unlocked');
+        return true;
+    }
+
+    // Whether the vault is already unlocked for email; otherwise the password is needed
+    resume(email) {
+        return this.isUnlocked() && this.email === email;
+    }
+
+    async lock() {
+        this.key = null;
+        this.email = null;
+        this.salt = null;
+        this.announce('locked');
+    }
+
+    async setSecret(name, value) {
+        if (!this.isUnlocked()) {
+            throw new Error('The token vault is locked. Please log in again.');
+        }
+        const record = this.readRecord() || { version: 1, salt: CryptoUtils.toBase64(this.salt), secrets: {} };
+        record.secrets[name] = await CryptoUtils.encrypt(this.key, value);
+        this.writeRecord(record);
+    }
+
+    async getSecret(name) {
+        const encrypted = this.isUnlocked() ? this.readRecord()?.secrets[name] : null;
+        if (!encrypted) return null;
+
+        try {
+            return await CryptoUtils.decrypt(this.key, encrypted);
+        } catch (error) {
+            console.warn(`Could not decrypt the stored ${name} secret`);
+            return null;
+        }
+    }
+
+    deleteSecret(name) {
+        const record = this.readRecord();
+        if (record?.secrets[name]) {
+            delete record.secrets[name];
+            this.writeRecord(record);
+        }
+    }
+
+    storeToken(token) {
+        return this.setSecret('github', token);
+    }
+
+    loadToken() {
+        return this.getSecret('github');
+    }
+
+    // Re-encrypt every secret with a key derived from a new password
+    async changePassword(newPassword) {
+        const record = this.readRecord();
+        const secrets = {};
+        for (const name of Object.keys(record?.secrets || {})) {
+            secrets[name] = await this.getSecret(name);
+        }
+
+        localStorage.removeItem(this.storageKey(this.email));
+        await this.unlock(this.email, newPassword);
+        for (const [name, value] of Object.entries(secrets)) {
+            if (value !== null) {
+                await this.setSecret(name, value);
+            }
+        }
+    }
+
+    // Remove everything stored for an account, e.g. when the owner deletes it
+    forget(email) {
+        localStorage.removeItem(this.storageKey(email));
+        localStorage.removeItem(`github_token_${email}`);
+    }
+
+    // Tokens saved in plain text by earlier versions are encrypted and removed
+    async migrateLegacyToken() {
+        const legacyKey = `github_token_${this.email}`;
+        const legacy = localStorage.getItem(legacyKey);
+        if (legacy && !(await this.loadToken())) {
+            await this.storeToken(legacy);
+        }
+        localStorage.removeItem(legacyKey);
+        localStorage.removeItem('active_github_token');
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.tokenVault = new TokenVault();
+});
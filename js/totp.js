@@ -0,0 +1,92 @@
+/**
+ * TOTP
+ *
+ * Time-based one-time passwords (RFC 6238) as authenticator apps show them:
+ * HMAC-SHA1 over 30-second steps, six digits. Secrets are handed to the app
+ * base32 encoded in an otpauth:// URI.
+ */
+
+const Totp = {
+    ALPHABET: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567',
+    DIGITS: 6,
+    PERIOD: 30,
+
+    base32Encode(bytes) {
+        let bits = 0;
+        let value = 0;
+        let output = '';
+        for (const byte of bytes) {
+            value = (value << 8) | byte;
+            bits += 8;
+            while (bits >= 5) {
+                output += this.ALPHABET[(value >>> (bits - 5)) & 31];
+                bits -= 5;
+            }
+        }
+        if (bits > 0) {
+            output += this.ALPHABET[(value << (5 - bits)) & 31];
+        }
+        return output;
+    },
+
+    base32Decode(text) {
+        const clean = text.toUpperCase().replace(/[\s=-]/g, '');
+        const bytes = [];
+        let bits = 0;
+        let value = 0;
+        for (const char of clean) {
+            const index = this.ALPHABET.indexOf(char);
+            if (index === -1) {
+                throw new Error('The secret is not valid base32');
+            }
+            value = (value << 5) | index;
+            bits += 5;
+            if (bits >= 8) {
+                bytes.push((value >>> (bits - 8)) & 0xFF);
+                bits -= 8;
+            }
+        }
+        return new Uint8Array(bytes);
+    },
+
+    // 160 bits, the HMAC-SHA1 key size RFC 4226 recommends
+    generateSecret() {
+        return this.base32Encode(CryptoUtils.randomBytes(20));
+    },
+
+    step(time = Date.now()) {
+        return Math.floor(time / 1000 / this.PERIOD);
+    },
+
+    async code(secret, step = this.step()) {
+        const counter = new DataView(new ArrayBuffer(8));
+        counter.setUint32(0, Math.floor(step / 2 ** 32));
+        counter.setUint32(4, step >>> 0);
+        const key = await crypto.subtle.importKey('raw', this.base32Decode(secret), { name: 'HMAC', hash: 'SHA-1' }, false, ['sign']);
+        const mac = new Uint8Array(await crypto.subtle.sign('HMAC', key, counter.buffer));
+
+        // Dynamic truncation, RFC 4226 section 5.3
+        const offset = mac[mac.length - 1] & 0x0F;
+        const binary = ((mac[offset] & 0x7F) << 24) | (mac[offset + 1] << 16) | (mac[offset + 2] << 8) | mac[offset + 3];
+        return String(binary % 10 ** this.DIGITS).padStart(this.DIGITS, '0');
+    },
+
+    // The matching time step, allowing `drift` steps of clock difference, or null
+    async verify(secret, code, drift = 1, time = Date.now()) {
+        const candidate = String(code).replace(/\s/g, '');
+        if (!new RegExp(`^\\d{${this.DIGITS}}$`).test(candidate)) return null;
+
+        const current = this.step(time);
+        for (let step = current - drift; step <= current + drift; step++) {
+            if (CryptoUtils.constantTimeEqual(await this.code(secret, step), candidate)) {
+                return step;
+            }
+        }
+        return null;
+    },
+
+    keyUri(secret, account, issuer) {
+        const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(account)}`;
+        return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}`;
+    }
+};
@@ -0,0 +1,200 @@
+/**
+ * Two-Factor Manager
+ *
+ * Drives the two-factor authentication panel of the dashboard Profile tab.
+ * Setting it up shows a QR code of a new TOTP secret (rendered locally by
+ * QrCode), confirms a first code from the authenticator app and hands out
+ * recovery codes. The secret is kept encrypted in the token vault, the
+ * user record only holds `twoFactor` with hashes of the recovery codes.
+ * Every role that can use this panel can write, so once it is on it cannot
+ * be turned off, and until then the role can do nothing else.
+ */
+
+class TwoFactorManager {
+    constructor() {
+        this.panel = document.getElementById('two-factor-panel');
+        this.status = document.getElementById('two-factor-status');
+        this.actions = document.getElementById('two-factor-actions');
+        this.setup = document.getElementById('two-factor-setup');
+        this.pendingSecret = null;
+        this.init();
+    }
+
+    init() {
+        if (!this.panel) return;
+
+        document.querySelector('.dashboard-tab[data-tab="profile"]')?.addEventListener('click', () => this.render());
+        window.addEventListener('portfolio-access-changed', () => this.render());
+        this.actions.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-two-factor]');
+            if (!button) return;
+            const handlers = {
+                enable: () => this.startSetup(),
+                regenerate: () => this.regenerateCodes()
+            };
+            handlers[button.dataset.twoFactor]?.();
+        });
+    }
+
+    // The signed-in user's record together with the list it is saved in
+    account() {
+        const email = window.authManager?.currentUser?.email;
+        const users = window.authManager?.loadUsers() || [];
+        return { users, user: users.find(user => user.email === email) || null };
+    }
+
+    save(users) {
+        if (!window.authManager.saveUsers(users)) {
+            throw new Error('The account could not be saved');
+        }
+    }
+
+    render() {
+        const { user } = this.account();
+        if (!user || !utils.can('account:security')) {
+            this.pendingSecret = null;
+            this.status.textContent = '';
+            this.actions.innerHTML = '';
+            this.setup.innerHTML = '';
+            this.setup.classList.add('hidden');
+            return;
+        }
+        if (this.pendingSecret) return;
+
+        const button = (action, label, classes) => `
+            <button type="button" data-two-factor="${action}" class="px-4 py-2 rounded-lg transition ${classes}">${label}</button>
+        `;
+        if (user.twoFactor) {
+            const left = user.twoFactor.recoveryCodes.length;
+            this.status.textContent = `Enabled since ${new Date(user.twoFactor.enabledAt).toLocaleDateString()}. `
+                + `${left} recovery code${left === 1 ? '' : 's'} left.`;
+            this.actions.innerHTML = button('regenerate', 'New Recovery Codes', 'bg-white/10 hover:bg-white/20');
+        } else {
+            this.status.textContent = 'Not enabled yet. Accounts that can change the portfolio need it: set it up to make changes. '
+                + 'Logging in then also asks for a code from an authenticator app.';
+            this.actions.innerHTML = button('enable', 'Set Up Two-Factor Authentication',
+                'bg-gradient-to-r from-primary-500 to-purple-500 hover:from-primary-600 hover:to-purple-600');
+        }
+        this.setup.classList.add('hidden');
+    }
+
+    startSetup() {
+        const { user } = this.account();
+        if (!user) return;
+        if (!window.tokenVault.isUnlocked()) {
+            alert('Please log in again to set up two-factor authentication.');
+            return;
+        }
+
+        this.pendingSecret = Totp.generateSecret();
+        const uri = Totp.keyUri(this.pendingSecret, user.email, TwoFactorManager.ISSUER);
+        this.actions.innerHTML = '';
+        this.setup.innerHTML = `
+            <div class="flex flex-wrap gap-6 items-start">
+                <div class="bg-white p-2 rounded-lg">${QrCode.toSvg(uri, { size: 180 })}</div>
+                <form class="flex-1 min-w-[16rem] space-y-4">
+                    <p class="text-sm text-gray-300">Scan the code with an authenticator app, or enter this key by hand:</p>
+                    <p class="font-mono text-sm break-all select-all">${this.pendingSecret.match(/.{1,4}/g).join(' ')}</p>
+                    <div class="space-y-1">
+                        <label for="two-factor-code" class="block text-sm font-medium">Code from the app</label>
+                        <input id="two-factor-code" type="text" inputmode="numeric" autocomplete="one-time-code" maxlength="7" required
+                            class="w-full p-2 bg-white/10 rounded-lg font-mono tracking-widest focus:outline-none focus:ring-2 focus:ring-primary-500">
+                    </div>
+                    <p data-setup-error class="text-sm text-red-400" role="alert"></p>
+                    <div class="flex gap-2">
+                        <button type="button" data-action="cancel" class="px-4 py-2 bg-white/10 rounded-lg hover:bg-white/20 transition">Cancel</button>
+                        <button type="submit" class="px-4 py-2 bg-gradient-to-r from-primary-500 to-purple-500 rounded-lg hover:from-primary-600 hover:to-purple-600 transition">Turn On</button>
+                    </div>
+                </form>
+            </div>
+        `;
+        this.setup.classList.remove('hidden');
+
+        this.setup.querySelector('[data-action="cancel"]').addEventListener('click', () => {
+            this.pendingSecret = null;
+            this.render();
+        });
+        this.setup.querySelector('form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.confirmSetup(this.setup.querySelector('#two-factor-code').value);
+        });
+        this.setup.querySelector('#two-factor-code').focus();
+    }
+
+    async confirmSetup(code) {
+        const step = await Totp.verify(this.pendingSecret, code);
+        if (step === null) {
+            this.setup.querySelector('[data-setup-error]').textContent = 'That code does not match. Check the time on your phone and try again.';
+            return;
+        }
+
+        const { users, user } = this.account();
+        try {
+            const codes = await window.authManager.enableSecondFactor(user, this.pendingSecret, step);
+            this.save(users);
+            this.pendingSecret = null;
+            // Re-renders this panel, so before the codes are shown
+            window.authManager.finishSecondFactorSetup();
+            this.showRecoveryCodes(codes);
+            window.dashboard?.showSuccessMessage('Two-factor authentication is on.');
+        } catch (error) {
+            console.error('Failed to turn on two-factor authentication:', error);
+            alert(`Two-factor authentication could not be turned on: ${error.message}`);
+        }
+    }
+
+    // Shown once; only hashes are kept
+    showRecoveryCodes(codes) {
+        this.render();
+        this.setup.innerHTML = `
+            <p class="text-sm text-gray-300 mb-3">
+                Keep these recovery codes somewhere safe. Each one works once, in place of a code from the app,
+                if you lose your phone. They are not shown again.
+            </p>
+            <ul class="grid grid-cols-2 gap-2 font-mono text-sm mb-4 select-all">
+                ${codes.map(code => `<li class="px-3 py-2 bg-white/5 rounded-lg">${code}</li>`).join('')}
+            </ul>
+            <div class="flex gap-2">
+                <button type="button" data-action="download" class="px-4 py-2 bg-white/10 rounded-lg hover:bg-white/20 transition">
+                    <i class="fas fa-download mr-2"></i>Download
+                </button>
+                <button type="button" data-action="done" class="px-4 py-2 bg-gradient-to-r from-primary-500 to-purple-500 rounded-lg hover:from-primary-600 hover:to-purple-600 transition">Done</button>
+            </div>
+        `;
+        this.setup.classList.remove('hidden');
+
+        this.setup.querySelector('[data-action="download"]').addEventListener('click', () => {
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(new Blob([`${TwoFactorManager.ISSUER} recovery codes\n\n${codes.join('\n')}\n`], { type: 'text/plain' }));
+            link.download = 'recovery-codes.txt';
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 0);
+        });
+        this.setup.querySelector('[data-action="done"]').addEventListener('click', () => this.render());
+    }
+
+    // Changing the second factor needs the second factor
+    async confirmIdentity(user) {
+        if (!window.tokenVault.isUnlocked()) {
+            alert('Please log in again to change two-factor authentication.');
+            return false;
+        }
+        return window.authManager.verifySecondFactor(user);
+    }
+
+    async regenerateCodes() {
+        const { users, user } = this.account();
+        if (!user?.twoFactor || !(await this.confirmIdentity(user))) return;
+
+        const codes = CryptoUtils.generateRecoveryCodes();
+        user.twoFactor.recoveryCodes = await Promise.all(codes.map(code => CryptoUtils.hashRecoveryCode(code)));
+        try {
+            this.save(users);
+            this.showRecoveryCodes(codes);
+        } catch (error) {
+            alert(error.message);
+        }
+    }
+}
+
+TwoFactorManager.ISSUER = 'Bayezid Portfolio';
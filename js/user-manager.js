@@ -0,0 +1,265 @@
+/**
+ * User Manager
+ *
+ * Drives the dashboard Users tab: lists the accounts that signed up in this
+ * browser with their role, last login and token status, and lets the owner
+ * change roles, disable accounts, require a new password at the next login,
+ * reset it to a temporary one for users who lost theirs, or delete them.
+ * Accounts are read and saved through AuthManager, the same way login and
+ * signup do.
+ */
+
+class UserManager {
+    constructor() {
+        this.tab = document.querySelector('.dashboard-tab[data-tab="users"]');
+        this.panel = document.getElementById('users-tab');
+        this.table = document.getElementById('users-table');
+        this.status = document.getElementById('users-status');
+        this.init();
+    }
+
+    init() {
+        if (!this.tab || !this.table) return;
+
+        this.tab.addEventListener('click', () => this.render());
+        this.table.addEventListener('change', (e) => {
+            const select = e.target.closest('[data-role-for]');
+            if (select) {
+                this.changeRole(select.dataset.roleFor, select.value);
+            }
+        });
+        this.table.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-user-action]');
+            if (button) {
+                this.runAction(button.dataset.userAction, button.dataset.email);
+            }
+        });
+
+        // Accounts created or changed in another tab
+        window.addEventListener('storage', (e) => {
+            if (e.key === 'users' && !this.panel.classList.contains('hidden')) {
+                this.render();
+            }
+        });
+        window.addEventListener('portfolio-access-changed', () => this.render());
+    }
+
+    setStatus(message) {
+        this.status.textContent = message;
+    }
+
+    tokenStatus(user) {
+        if (window.tokenVault?.readRecord(user.email)?.secrets?.github) {
+            return ['Stored', 'bg-green-500/20 text-green-400'];
+        }
+        if (user.hasToken) {
+            return ['Auto-verified', 'bg-blue-500/20 text-blue-400'];
+        }
+        return ['None', 'bg-white/10 text-gray-400'];
+    }
+
+    accountStatus(user) {
+        if (user.disabled) {
+            return ['Disabled', 'bg-red-500/20 text-red-400'];
+        }
+        if (user.passwordResetRequired) {
+            return ['Password reset pending', 'bg-yellow-500/20 text-yellow-400'];
+        }
+        return ['Active', 'bg-green-500/20 text-green-400'];
+    }
+
+    render() {
+        if (!utils.can('users:manage')) {
+            this.table.innerHTML = '';
+            return;
+        }
+
+        const users = window.authManager.loadUsers();
+        const self = window.authManager.currentUser?.email;
+        const badge = ([label, classes]) => `<span class="px-2 py-1 rounded-full text-xs ${classes}">${label}</span>`;
+
+        this.table.innerHTML = users.map(user => {
+            const email = utils.escapeHtml(user.email);
+            const isSelf = user.email === self;
+            return `
+                <tr class="border-b border-gray-700">
+                    <td class="py-4">
+                        <div class="font-semibold">${utils.escapeHtml(user.name)}${isSelf ? ' <span class="text-xs text-gray-400">(you)</span>' : ''}</div>
+                        <div class="text-sm text-gray-400">${email}${user.twoFactor ? ' <span class="ml-1 px-2 py-0.5 rounded-full text-xs bg-primary-500/20 text-primary-400" title="Two-factor authentication is on">2FA</span>' : ''}</div>
+                    </td>
+                    <td class="py-4">
+                        <select data-role-for="${email}" ${isSelf ? 'disabled' : ''} aria-label="Role of ${email}"
+                            class="p-2 bg-white/10 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 text-white">
+                            ${AccessControl.ROLES.map(role => `
+                                <option value="${role}" ${role === user.role ? 'selected' : ''}>${AccessControl.label(role)}</option>
+                            `).join('')}
+                        </select>
+                    </td>
+                    <td class="py-4 text-sm text-gray-400">${user.lastLogin ? new Date(user.lastLogin).toLocaleString() : 'Never'}</td>
+                    <td class="py-4">${badge(this.tokenStatus(user))}</td>
+                    <td class="py-4">${badge(this.accountStatus(user))}</td>
+                    <td class="py-4">
+                        ${isSelf ? '' : `
+                        <button type="button" data-user-action="${user.disabled ? 'enable' : 'disable'}" data-email="${email}"
+                            class="text-primary-400 hover:text-primary-300 mr-3" title="${user.disabled ? 'Enable account' : 'Disable account'}">
+                            <i class="fas fa-${user.disabled ? 'user-check' : 'user-slash'}"></i>
+                        </button>
+                        <button type="button" data-user-action="reset" data-email="${email}"
+                            class="text-primary-400 hover:text-primary-300 mr-3" title="Require a new password at the next login">
+                            <i class="fas fa-key"></i>
+                        </button>
+                        <button type="button" data-user-action="temporary" data-email="${email}"
+                            class="text-primary-400 hover:text-primary-300 mr-3" title="Reset the password to a temporary one">
+                            <i class="fas fa-unlock-alt"></i>
+                        </button>
+                        <button type="button" data-user-action="delete" data-email="${email}"
+                            class="text-red-400 hover:text-red-300" title="Delete account">
+                            <i class="fas fa-trash"></i>
+                        </button>`}
+                    </td>
+                </tr>
+            `;
+        }).join('');
+
+        this.setStatus(users.length === 0
+            ? 'No accounts have signed up in this browser yet.'
+            : `${users.length} account${users.length === 1 ? '' : 's'} signed up in this browser.`);
+    }
+
+    // Applies update to the stored account; the signed-in user cannot change their own
+    updateUser(email, update) {
+        if (!utils.requirePermission('users:manage', 'managing users')) return false;
+        if (email === window.authManager.currentUser?.email) {
+            alert('You cannot change your own account here.');
+            return false;
+        }
+
+        const users = window.authManager.loadUsers();
+        const index = users.findIndex(user => user.email === email);
+        if (index === -1) {
+            alert(`The account ${email} no longer exists.`);
+            this.render();
+            return false;
+        }
+
+        const updated = update(users[index]);
+        if (updated === null) {
+            users.splice(index, 1);
+        }
+        const saved = window.authManager.saveUsers(users);
+        this.render();
+        return saved;
+    }
+
+    changeRole(email, role) {
+        if (!AccessControl.isRole(role)) return;
+        if (this.updateUser(email, user => { user.role = role; })) {
+            window.dashboard?.showSuccessMessage(`${email} is now ${AccessControl.label(role).toLowerCase()}.`);
+        }
+    }
+
+    // Meets AuthManager.PASSWORD_PATTERN: a character of each required kind plus random ones, shuffled
+    temporaryPassword() {
+        const sets = ['ABCDEFGHJKLMNPQRSTUVWXYZ', 'abcdefghijkmnopqrstuvwxyz', '23456789', '@$!%*?&'];
+        const all = sets.join('');
+        const bytes = CryptoUtils.randomBytes(UserManager.TEMPORARY_PASSWORD_LENGTH * 2);
+        const chars = sets.map((set, i) => set[bytes[i] % set.length]);
+        for (let i = sets.length; i < UserManager.TEMPORARY_PASSWORD_LENGTH; i++) {
+            chars.push(all[bytes[i] % all.length]);
+        }
+        for (let i = chars.length - 1; i > 0; i--) {
+            const j = bytes[UserManager.TEMPORARY_PASSWORD_LENGTH + i] % (i + 1);
+            [chars[i], chars[j]] = [chars[j], chars[i]];
+        }
+        return chars.join('');
+    }
+
+    // For users who forgot their password and have no recovery codes left
+    async resetPassword(email) {
+        if (!confirm(`Reset the password of ${email} to a temporary one? Their stored GitHub token and two-factor setup are removed, and they choose a new password at the next login.`)) return;
+
+        const password = this.temporaryPassword();
+        const hash = await window.authManager.hashPassword(password);
+        const saved = this.updateUser(email, user => {
+            user.password = hash;
+            user.passwordResetRequired = true;
+            window.authManager.resetSecrets(user);
+        });
+        if (saved) {
+            this.showTemporaryPassword(email, password);
+        }
+    }
+
+    showTemporaryPassword(email, password) {
+        const modal = document.createElement('div');
+        modal.className = 'fixed inset-0 bg-black/50 flex items-center justify-center z-50';
+        modal.innerHTML = `
+            <div class="glass-effect p-6 rounded-xl w-full max-w-md">
+                <h3 class="text-xl font-bold mb-2">Temporary Password</h3>
+                <p class="text-sm text-gray-300 mb-4">
+                    Give this password to ${utils.escapeHtml(email)}. It works for one login, after which they choose their own.
+                </p>
+                <p class="font-mono text-lg px-3 py-2 bg-white/5 rounded-lg mb-4 select-all break-all">${utils.escapeHtml(password)}</p>
+                <div class="flex justify-end gap-2">
+                    <button type="button" data-action="copy" class="px-4 py-2 bg-white/10 rounded-lg hover:bg-white/20 transition">
+                        <i class="fas fa-copy mr-2"></i>Copy
+                    </button>
+                    <button type="button" data-action="done" class="px-4 py-2 bg-gradient-to-r from-primary-500 to-purple-500 rounded-lg hover:from-primary-600 hover:to-purple-600 transition">Done</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        const copy = modal.querySelector('[data-action="copy"]');
+        copy.addEventListener('click', async () => {
+            try {
+                await navigator.clipboard.writeText(password);
+                copy.innerHTML = '<i class="fas fa-check mr-2"></i>Copied';
+            } catch (error) {
+                alert('The password could not be copied. Please select it and copy it by hand.');
+            }
+        });
+        modal.querySelector('[data-action="done"]').addEventListener('click', () => modal.remove());
+    }
+
+    runAction(action, email) {
+        if (action === 'temporary') {
+            this.resetPassword(email);
+            return;
+        }
+
+        const actions = {
+            disable: {
+                confirm: `Disable ${email}? They will not be able to log in until the account is enabled again.`,
+                update: user => { user.disabled = true; },
+                message: `${email} was disabled.`
+            },
+            enable: {
+                update: user => { delete user.disabled; },
+                message: `${email} was enabled.`
+            },
+            reset: {
+                confirm: `Require ${email} to choose a new password at their next login?`,
+                update: user => { user.passwordResetRequired = true; },
+                message: `${email} will choose a new password at the next login.`
+            },
+            delete: {
+                confirm: `Delete ${email}? Their account and stored GitHub token are removed from this browser.`,
+                update: () => null,
+                message: `${email} was deleted.`
+            }
+        };
+
+        const entry = actions[action];
+        if (!entry || (entry.confirm && !confirm(entry.confirm))) return;
+
+        if (this.updateUser(email, entry.update)) {
+            if (action === 'delete') {
+                window.tokenVault?.forget(email);
+            }
+            window.dashboard?.showSuccessMessage(entry.message);
+        }
+    }
+}
+
+UserManager.TEMPORARY_PASSWORD_LENGTH = 14;
@@ -0,0 +1,174 @@
+/**
+ * ZIP Archive
+ *
+ * Minimal reader and writer for ZIP files, enough for portfolio bundles.
+ * Text entries are compressed with the browser's CompressionStream
+ * ('deflate-raw') when available; images are stored as they are, since they
+ * are compressed already. Reading supports stored and deflated entries, so
+ * archives repacked with common tools can be imported too. ZIP64 and
+ * encrypted archives are not supported.
+ */
+
+const ZipArchive = {
+    CRC_TABLE: null,
+
+    crc32(bytes) {
+        if (!this.CRC_TABLE) {
+            this.CRC_TABLE = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.CRC_TABLE[n] = c >>> 0;
+            }
+        }
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    },
+
+    supportsDeflate() {
+        try {
+            return typeof CompressionStream !== 'undefined' && Boolean(new CompressionStream('deflate-raw'));
+        } catch (e) {
+            return false;
+        }
+    },
+
+    async transform(bytes, stream) {
+        return new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+    },
+
+    // MS-DOS time and date fields of the entry headers
+    dosDateTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    },
+
+    // entries: [{ name, content }], content as accepted by ContentCodec.toBytes
+    async create(entries, modified = new Date()) {
+        const deflate = this.supportsDeflate();
+        const { time, date } = this.dosDateTime(modified);
+        const encoder = new TextEncoder();
+        const parts = [];
+        const central = [];
+        let offset = 0;
+
+        for (const entry of entries) {
+            const name = encoder.encode(entry.name);
+            const data = ContentCodec.toBytes(entry.content);
+            const compress = deflate && ContentCodec.kind(entry.name) !== 'binary';
+            const stored = compress ? await this.transform(data, new CompressionStream('deflate-raw')) : data;
+            const crc = this.crc32(data);
+
+            // Local file header; bit 11 marks UTF-8 names
+            const header = new DataView(new ArrayBuffer(30));
+            header.setUint32(0, 0x04034B50, true);
+            header.setUint16(4, 20, true);
+            header.setUint16(6, 0x0800, true);
+            header.setUint16(8, compress ? 8 : 0, true);
+            header.setUint16(10, time, true);
+            header.setUint16(12, date, true);
+            header.setUint32(14, crc, true);
+            header.setUint32(18, stored.length, true);
+            header.setUint32(22, data.length, true);
+            header.setUint16(26, name.length, true);
+            parts.push(header.buffer, name, stored);
+
+            const record = new DataView(new ArrayBuffer(46));
+            record.setUint32(0, 0x02014B50, true);
+            record.setUint16(4, 20, true);
+            record.setUint16(6, 20, true);
+            record.setUint16(8, 0x0800, true);
+            record.setUint16(10, compress ? 8 : 0, true);
+            record.setUint16(12, time, true);
+            record.setUint16(14, date, true);
+            record.setUint32(16, crc, true);
+            record.setUint32(20, stored.length, true);
+            record.setUint32(24, data.length, true);
+            record.setUint16(28, name.length, true);
+            record.setUint32(42, offset, true);
+            central.push(record.buffer, name);
+
+            offset += 30 + name.length + stored.length;
+        }
+
+        const centralSize = central.reduce((size, part) => size + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, entries.length, true);
+        end.setUint16(10, entries.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...parts, ...central, end.buffer], { type: 'application/zip' });
+    },
+
+    // Map of entry name -> Uint8Array; directories are skipped
+    async read(blob) {
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        const view = new DataView(bytes.buffer);
+
+        // The end of central directory record sits before an optional comment of up to 64 KiB
+        let end = -1;
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+            if (view.getUint32(i, true) === 0x06054B50) {
+                end = i;
+                break;
+            }
+        }
+        if (end === -1) {
+            throw new Error('The file is not a ZIP archive');
+        }
+
+        const count = view.getUint16(end + 10, true);
+        let position = view.getUint32(end + 16, true);
+        if (count === 0xFFFF || position === 0xFFFFFFFF) {
+            throw new Error('ZIP64 archives are not supported');
+        }
+
+        const decoder = new TextDecoder();
+        const files = new Map();
+        for (let i = 0; i < count; i++) {
+            if (view.getUint32(position, true) !== 0x02014B50) {
+                throw new Error('The ZIP archive is corrupted');
+            }
+            const flags = view.getUint16(position + 8, true);
+            const method = view.getUint16(position + 10, true);
+            const crc = view.getUint32(position + 16, true);
+            const compressedSize = view.getUint32(position + 20, true);
+            const nameLength = view.getUint16(position + 28, true);
+            const extraLength = view.getUint16(position + 30, true);
+            const commentLength = view.getUint16(position + 32, true);
+            const localOffset = view.getUint32(position + 42, true);
+            const name = decoder.decode(bytes.subarray(position + 46, position + 46 + nameLength));
+            position += 46 + nameLength + extraLength + commentLength;
+
+            if (name.endsWith('/')) continue;
+            if (flags & 0x0001) {
+                throw new Error(`${name} is encrypted`);
+            }
+
+            const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+            const stored = bytes.subarray(dataStart, dataStart + compressedSize);
+            let data;
+            if (method === 0) {
+                data = stored.slice();
+            } else if (method === 8) {
+                data = await this.transform(stored, new DecompressionStream('deflate-raw'));
+            } else {
+                throw new Error(`${name} uses an unsupported compression method`);
+            }
+            if (this.crc32(data) !== crc) {
+                throw new Error(`${name} is corrupted (checksum mismatch)`);
+            }
+            files.set(name, data);
+        }
+        return files;
+    }
+};